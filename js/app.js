@@ -15,6 +15,8 @@ class App {
         this.manualSelect = document.getElementById('manualSelect');
         this.toggleRegionBtn = document.getElementById('toggleRegionBtn');
         this.toggleMeshBtn = document.getElementById('toggleMeshBtn');
+        this.toggleInfluenceBtn = document.getElementById('toggleInfluenceBtn');
+        this.influenceBtn = document.getElementById('influenceBtn');
         this.savePresetBtn = document.getElementById('savePresetBtn');
         this.editRegionBtn = document.getElementById('editRegionBtn');
         this.resetBtn = document.getElementById('resetBtn');
@@ -24,10 +26,27 @@ class App {
         this.selectionOverlay = document.getElementById('selectionOverlay');
         this.selectionInstruction = document.getElementById('selectionInstruction');
         this.selectionCount = document.getElementById('selectionCount');
+        this.editTools = document.getElementById('editTools');
+        this.fixedModeBtn = document.getElementById('fixedModeBtn');
+        this.symmetryBtn = document.getElementById('symmetryBtn');
+        this.resetViewBtn = document.getElementById('resetViewBtn');
+        this.regionListBtn = document.getElementById('regionListBtn');
+        this.regionPanel = document.getElementById('regionPanel');
+        this.regionList = document.getElementById('regionList');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.shapeToolBtn = document.getElementById('shapeToolBtn');
+        this.brushTools = document.getElementById('brushTools');
+        this.brushModeBtn = document.getElementById('brushModeBtn');
+        this.brushSizeRange = document.getElementById('brushSizeRange');
 
         // 加速度センサー状態
         this.sensorEnabled = false;
 
+        // 領域一覧パネルの状態
+        this.regionPanelOpen = false;
+        this.regionListDrag = null;
+
         // UI表示状態
         this.isUIVisible = true;
 
@@ -49,6 +68,7 @@ class App {
         this.autoStrengthValue = document.getElementById('autoStrengthValue');
         this.gridDensityRange = document.getElementById('gridDensityRange');
         this.gridDensityValue = document.getElementById('gridDensityValue');
+        this.simulationModeSelect = document.getElementById('simulationModeSelect');
         this.stiffnessRange = document.getElementById('stiffnessRange');
         this.dampingRange = document.getElementById('dampingRange');
         this.sensitivityRange = document.getElementById('sensitivityRange');
@@ -59,21 +79,142 @@ class App {
         this.sensitivityValue = document.getElementById('sensitivityValue');
         this.posThresholdValue = document.getElementById('posThresholdValue');
         this.velThresholdValue = document.getElementById('velThresholdValue');
+        this.seedValue = document.getElementById('seedValue');
+        this.rerollSeedBtn = document.getElementById('rerollSeedBtn');
         this.resetSettingsBtn = document.getElementById('resetSettingsBtn');
 
+        // 領域設定モーダル関連DOM
+        this.regionModal = document.getElementById('regionModal');
+        this.regionModalTitle = document.getElementById('regionModalTitle');
+        this.closeRegionModalBtn = document.getElementById('closeRegionModalBtn');
+        this.resetRegionParamsBtn = document.getElementById('resetRegionParamsBtn');
+        this.deleteRegionBtn = document.getElementById('deleteRegionBtn');
+        this.regionAngleRow = document.getElementById('regionAngleRow');
+        this.regionAngleRange = document.getElementById('regionAngleRange');
+        this.regionAngleValue = document.getElementById('regionAngleValue');
+        this.regionFalloffControls = document.getElementById('regionFalloffControls');
+        this.regionFalloffPresetBtns = this.regionFalloffControls.querySelectorAll('[data-falloff-preset]');
+        this.regionFalloffCurve = document.getElementById('regionFalloffCurve');
+        this.regionFalloffInnerRange = document.getElementById('regionFalloffInnerRange');
+        this.regionFalloffInnerValue = document.getElementById('regionFalloffInnerValue');
+        this.regionFalloffOuterRange = document.getElementById('regionFalloffOuterRange');
+        this.regionFalloffOuterValue = document.getElementById('regionFalloffOuterValue');
+        this.regionFalloffBias = document.getElementById('regionFalloffBias');
+        this.regionGroupInput = document.getElementById('regionGroupInput');
+        this.regionGroupOptions = document.getElementById('regionGroupOptions');
+        this.regionMirrorXBtn = document.getElementById('regionMirrorXBtn');
+        this.regionMirrorYBtn = document.getElementById('regionMirrorYBtn');
+        this.regionMirrorScopeSelect = document.getElementById('regionMirrorScopeSelect');
+        this.regionPhaseRange = document.getElementById('regionPhaseRange');
+        this.regionPhaseValue = document.getElementById('regionPhaseValue');
+        this.regionGainRange = document.getElementById('regionGainRange');
+        this.regionGainValue = document.getElementById('regionGainValue');
+        this.applyGroupTransformBtn = document.getElementById('applyGroupTransformBtn');
+        this.regionParentSelect = document.getElementById('regionParentSelect');
+        this.regionLinkList = document.getElementById('regionLinkList');
+        this.addRegionLinkBtn = document.getElementById('addRegionLinkBtn');
+
+        // 領域パラメータのスライダー（キー -> { range, value, digits }）
+        const regionParamDigits = {
+            stiffness: 2,
+            damping: 2,
+            mass: 1,
+            sensitivity: 1,
+            delayFrames: 0,
+            maxDisplacement: 1,
+            rotationAmount: 1,
+            stretchAmount: 1
+        };
+        this.regionParamControls = {};
+        for (const key of PhysicsEngine.REGION_PARAM_KEYS) {
+            const id = key.charAt(0).toUpperCase() + key.slice(1);
+            this.regionParamControls[key] = {
+                range: document.getElementById(`region${id}Range`),
+                value: document.getElementById(`region${id}Value`),
+                digits: regionParamDigits[key]
+            };
+        }
+
+        // 押し込みの設定のスライダー（キー -> { range, value, digits }）
+        const pressControls = {
+            radius: { id: 'pressRadius', digits: 2 },
+            depth: { id: 'pressDepth', digits: 1 },
+            pressSpeed: { id: 'pressInSpeed', digits: 2 },
+            releaseSpeed: { id: 'pressOutSpeed', digits: 2 },
+            bounce: { id: 'pressBounce', digits: 1 }
+        };
+        this.pressParamControls = {};
+        for (const key of PhysicsEngine.PRESS_PARAM_KEYS) {
+            const { id, digits } = pressControls[key];
+            this.pressParamControls[key] = {
+                range: document.getElementById(`${id}Range`),
+                value: document.getElementById(`${id}Value`),
+                digits: digits
+            };
+        }
+
+        // センサー入力の設定欄（MotionSensor.DEFAULT_SENSOR_SETTINGS のキー -> 要素ID・表示桁数）
+        const sensorControls = {
+            gainX: { id: 'sensorGainX', digits: 1 },
+            gainY: { id: 'sensorGainY', digits: 1 },
+            gyro: { id: 'sensorGyro', digits: 1 },
+            sag: { id: 'sensorSag', digits: 1 },
+            lowPass: { id: 'sensorLowPass', digits: 2 },
+            highPass: { id: 'sensorHighPass', digits: 2 }
+        };
+        this.sensorControls = {};
+        for (const key of Object.keys(MotionSensor.DEFAULT_SENSOR_SETTINGS)) {
+            const { id, digits } = sensorControls[key];
+            this.sensorControls[key] = {
+                range: document.getElementById(`${id}Range`),
+                value: document.getElementById(`${id}Value`),
+                digits: digits
+            };
+        }
+        this.calibrateSensorBtn = document.getElementById('calibrateSensorBtn');
+
+        // センサー入力の設定（MotionSensor は開始のたびに作り直すので App で持つ）
+        this.sensorSettings = { ...MotionSensor.DEFAULT_SENSOR_SETTINGS };
+
+        // ジェスチャーごとの衝撃の設定欄（ジェスチャー -> { direction, target, range, value }）
+        this.gestureControls = {};
+        for (const gesture of Object.keys(MotionSensor.DEFAULT_GESTURES)) {
+            const id = `gesture${gesture.charAt(0).toUpperCase() + gesture.slice(1)}`;
+            this.gestureControls[gesture] = {
+                direction: document.getElementById(`${id}Direction`),
+                target: document.getElementById(`${id}Target`),
+                range: document.getElementById(`${id}MagnitudeRange`),
+                value: document.getElementById(`${id}MagnitudeValue`)
+            };
+        }
+
+        // ジェスチャーごとの衝撃（MotionSensor.DEFAULT_GESTURES と同じ形）
+        this.gestureSettings = this.createGestureSettings();
+
         // モジュール
         this.renderer = new Renderer(this.canvas);
         this.physics = new PhysicsEngine();
         this.motionSensor = null;
         this.storage = new Storage();
+        this.history = new EditHistory();
+
+        // 続けて変わる編集（ドラッグ・スライダー）の開始前の状態
+        this.pendingEditState = null;
 
         // 現在の画像データ（Base64）
         this.currentImageData = null;
 
+        // パラメータ編集中の領域インデックス（-1で未選択）
+        this.selectedRegionIndex = -1;
+
+        // ばねでつなぐ先の領域をタップで選んでいる最中か
+        this.linkPicking = false;
+
         // 状態
         this.mode = 'upload';
         this.isAnimating = false;
         this.animationId = null;
+        this.lastFrameTime = null;
 
         // イベントハンドラをバインド
         this.boundHandleMotion = this.handleMotion.bind(this);
@@ -113,6 +254,14 @@ class App {
             this.toggleMeshDisplay();
         });
 
+        this.toggleInfluenceBtn.addEventListener('click', () => {
+            this.toggleInfluenceDisplay();
+        });
+
+        this.influenceBtn.addEventListener('click', () => {
+            this.toggleInfluenceDisplay();
+        });
+
         // UI表示切り替えボタン
         this.toggleUIBtn.addEventListener('click', () => {
             this.toggleUI();
@@ -200,6 +349,49 @@ class App {
             this.physics.setGridDensity(value);
         });
 
+        this.simulationModeSelect.addEventListener('change', (e) => {
+            this.physics.setPhysicsParams({ simulationMode: e.target.value });
+        });
+
+        for (const [key, control] of Object.entries(this.pressParamControls)) {
+            control.range.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                control.value.textContent = value.toFixed(control.digits);
+                this.physics.setPhysicsParams({ press: { [key]: value } });
+            });
+        }
+
+        for (const [key, control] of Object.entries(this.sensorControls)) {
+            control.range.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                control.value.textContent = value.toFixed(control.digits);
+                this.sensorSettings[key] = value;
+                if (this.motionSensor) {
+                    this.motionSensor.setSensorSettings({ [key]: value });
+                }
+            });
+        }
+
+        this.calibrateSensorBtn.addEventListener('click', () => {
+            if (this.motionSensor) {
+                this.motionSensor.calibrate();
+            }
+        });
+
+        for (const [gesture, control] of Object.entries(this.gestureControls)) {
+            control.direction.addEventListener('change', (e) => {
+                this.gestureSettings[gesture].direction = e.target.value;
+            });
+            control.target.addEventListener('change', (e) => {
+                this.gestureSettings[gesture].target = e.target.value;
+            });
+            control.range.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                control.value.textContent = value.toFixed(1);
+                this.gestureSettings[gesture].magnitude = value;
+            });
+        }
+
         this.stiffnessRange.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.stiffnessValue.textContent = value.toFixed(2);
@@ -220,20 +412,187 @@ class App {
 
         this.posThresholdRange.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
-            this.posThresholdValue.textContent = value.toFixed(1);
+            this.posThresholdValue.textContent = value.toFixed(2);
             this.physics.setPhysicsParams({ posThreshold: value });
         });
 
         this.velThresholdRange.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
-            this.velThresholdValue.textContent = value.toFixed(2);
+            this.velThresholdValue.textContent = value.toFixed(3);
             this.physics.setPhysicsParams({ velThreshold: value });
         });
 
+        this.rerollSeedBtn.addEventListener('click', () => {
+            this.rerollSeed();
+        });
+
         this.resetSettingsBtn.addEventListener('click', () => {
             this.resetPhysicsSettings();
         });
 
+        // 領域設定モーダル
+        this.closeRegionModalBtn.addEventListener('click', () => {
+            this.deselectRegion();
+        });
+
+        this.regionAngleRange.addEventListener('input', (e) => {
+            if (!this.pendingEditState) this.beginEdit();
+            const degrees = parseInt(e.target.value);
+            this.regionAngleValue.textContent = `${degrees}°`;
+            this.setSelectedRegionAngle(degrees * Math.PI / 180);
+        });
+
+        this.regionAngleRange.addEventListener('change', () => {
+            if (this.pendingEditState) this.recordEdit();
+        });
+
+        for (const [key, control] of Object.entries(this.regionParamControls)) {
+            control.range.addEventListener('input', (e) => {
+                if (!this.pendingEditState) this.beginEdit();
+                const value = parseFloat(e.target.value);
+                control.value.textContent = value.toFixed(control.digits);
+                this.setSelectedRegionParam(key, value);
+            });
+
+            control.range.addEventListener('change', () => {
+                if (this.pendingEditState) this.recordEdit();
+            });
+        }
+
+        this.resetRegionParamsBtn.addEventListener('click', () => {
+            this.resetSelectedRegionParams();
+        });
+
+        // 影響の減衰
+        this.regionFalloffPresetBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applySelectedRegionFalloffPreset(btn.dataset.falloffPreset);
+            });
+        });
+
+        for (const [select, key] of [[this.regionFalloffCurve, 'curve'], [this.regionFalloffBias, 'bias']]) {
+            select.addEventListener('change', (e) => {
+                this.recordEdit();
+                this.setSelectedRegionFalloff({ [key]: e.target.value });
+            });
+        }
+
+        this.regionFalloffInnerRange.addEventListener('input', (e) => {
+            if (!this.pendingEditState) this.beginEdit();
+            const inner = parseFloat(e.target.value);
+            // 外側が内側より小さくならないように押し広げる
+            const outer = Math.max(inner, parseFloat(this.regionFalloffOuterRange.value));
+            this.setSelectedRegionFalloff({ inner, outer });
+        });
+
+        this.regionFalloffOuterRange.addEventListener('input', (e) => {
+            if (!this.pendingEditState) this.beginEdit();
+            const outer = parseFloat(e.target.value);
+            const inner = Math.min(outer, parseFloat(this.regionFalloffInnerRange.value));
+            this.setSelectedRegionFalloff({ inner, outer });
+        });
+
+        for (const range of [this.regionFalloffInnerRange, this.regionFalloffOuterRange]) {
+            range.addEventListener('change', () => {
+                if (this.pendingEditState) this.recordEdit();
+            });
+        }
+
+        // グループ名（入力中は履歴に積まず、確定時にまとめて記録）
+        this.regionGroupInput.addEventListener('focus', () => {
+            this.beginEdit();
+        });
+
+        this.regionGroupInput.addEventListener('input', (e) => {
+            this.setSelectedRegionGroup(e.target.value);
+        });
+
+        this.regionGroupInput.addEventListener('change', () => {
+            this.recordEdit();
+            this.updateGroupOptions();
+        });
+
+        // 自動パターンの力の変換
+        this.regionMirrorXBtn.addEventListener('click', () => {
+            this.toggleSelectedRegionMirror('mirrorX');
+        });
+
+        this.regionMirrorYBtn.addEventListener('click', () => {
+            this.toggleSelectedRegionMirror('mirrorY');
+        });
+
+        this.regionMirrorScopeSelect.addEventListener('change', (e) => {
+            this.recordEdit();
+            const mirrorPatterns = e.target.value === 'knead' ? [...PhysicsEngine.KNEAD_PATTERNS] : null;
+            this.setSelectedRegionTransform({ mirrorPatterns });
+        });
+
+        this.regionPhaseRange.addEventListener('input', (e) => {
+            if (!this.pendingEditState) this.beginEdit();
+            const degrees = parseInt(e.target.value);
+            this.regionPhaseValue.textContent = `${degrees}°`;
+            this.setSelectedRegionTransform({ phase: degrees });
+        });
+
+        this.regionGainRange.addEventListener('input', (e) => {
+            if (!this.pendingEditState) this.beginEdit();
+            const gain = parseFloat(e.target.value);
+            this.regionGainValue.textContent = gain.toFixed(1);
+            this.setSelectedRegionTransform({ gain });
+        });
+
+        for (const range of [this.regionPhaseRange, this.regionGainRange]) {
+            range.addEventListener('change', () => {
+                if (this.pendingEditState) this.recordEdit();
+            });
+        }
+
+        this.applyGroupTransformBtn.addEventListener('click', () => {
+            this.applyTransformToGroup();
+        });
+
+        // 親子のつながり
+        this.regionParentSelect.addEventListener('change', (e) => {
+            this.setSelectedRegionParent(e.target.value === '' ? undefined : parseInt(e.target.value));
+        });
+
+        // 領域どうしのばね
+        this.addRegionLinkBtn.addEventListener('click', () => {
+            if (this.linkPicking) {
+                this.cancelLinkPicking();
+            } else {
+                this.startLinkPicking();
+            }
+        });
+
+        this.regionLinkList.addEventListener('input', (e) => {
+            const key = e.target.dataset.linkParam;
+            if (!key) return;
+
+            if (!this.pendingEditState) this.beginEdit();
+            const item = e.target.closest('.region-link-item');
+            const value = parseFloat(e.target.value);
+            e.target.nextElementSibling.textContent = value.toFixed(2);
+            this.setRegionLinkParam(parseInt(item.dataset.owner), parseInt(item.dataset.link), key, value);
+        });
+
+        this.regionLinkList.addEventListener('change', (e) => {
+            if (e.target.dataset.linkParam && this.pendingEditState) this.recordEdit();
+        });
+
+        this.regionLinkList.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('region-link-delete')) return;
+
+            const item = e.target.closest('.region-link-item');
+            this.removeRegionLink(parseInt(item.dataset.owner), parseInt(item.dataset.link));
+        });
+
+        this.deleteRegionBtn.addEventListener('click', () => {
+            if (this.selectedRegionIndex >= 0) {
+                this.deleteRegionAt(this.selectedRegionIndex);
+            }
+        });
+
         // ウィンドウリサイズ対応
         window.addEventListener('resize', () => {
             this.renderer.resize();
@@ -244,15 +603,200 @@ class App {
             this.onRegionSelected(region);
         };
 
+        this.renderer.onFixedRegionSelected = (region) => {
+            this.onFixedRegionSelected(region);
+        };
+
+        this.renderer.onRegionChanged = (index) => {
+            this.onRegionChanged(index);
+        };
+
+        this.renderer.onRegionEditStart = () => {
+            this.beginEdit();
+        };
+
+        // 影響度の表示は物理エンジンの現在の領域から計算
+        this.renderer.influenceProvider = () => this.physics.calculateInfluenceMap();
+
+        // 全体表示ボタン
+        this.resetViewBtn.addEventListener('click', () => {
+            this.renderer.resetView();
+        });
+
+        this.regionListBtn.addEventListener('click', () => {
+            this.toggleRegionPanel();
+        });
+
+        this.undoBtn.addEventListener('click', () => {
+            this.undo();
+        });
+
+        this.redoBtn.addEventListener('click', () => {
+            this.redo();
+        });
+
+        // Ctrl+Z で元に戻す、Ctrl+Shift+Z でやり直し
+        document.addEventListener('keydown', (e) => {
+            if (this.mode !== 'select' && this.mode !== 'confirm') return;
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            // 名前の入力中は文字の取り消しに任せる
+            if (e.target.type === 'text') return;
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
+        this.shapeToolBtn.addEventListener('click', () => {
+            this.cycleShapeTool();
+        });
+
+        this.brushModeBtn.addEventListener('click', () => {
+            this.cycleBrushMode();
+        });
+
+        this.brushSizeRange.addEventListener('input', (e) => {
+            this.renderer.setBrushSize(parseInt(e.target.value));
+        });
+
+        // 固定領域モード切り替えボタン
+        this.fixedModeBtn.addEventListener('click', () => {
+            this.toggleFixedMode();
+        });
+
+        this.symmetryBtn.addEventListener('click', () => {
+            this.toggleSymmetry();
+        });
+
         // ドラッグアンドドロップで画像を読み込む
         this.setupDragAndDrop();
 
         // confirmモードでの領域クリック/タップ処理
         this.setupRegionClickHandler();
+
+        // 領域一覧の操作
+        this.setupRegionList();
     }
 
     /**
-     * confirmモードで領域をクリック/タップして削除するハンドラのセットアップ
+     * 領域一覧パネルの名前編集・ソロ/ミュート・並べ替えのハンドラのセットアップ
+     * 一覧は描画し直すたびに作り直すため、リスト要素に委譲して受け取る
+     */
+    setupRegionList() {
+        // 名前の編集（入力中は一覧を描画し直さない）
+        this.regionList.addEventListener('focusin', (e) => {
+            if (e.target.classList.contains('region-name')) {
+                this.beginEdit();
+            }
+        });
+
+        this.regionList.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('region-name')) return;
+
+            const index = parseInt(e.target.closest('.region-item').dataset.index);
+            this.setRegionName(index, e.target.value);
+        });
+
+        this.regionList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('region-name')) {
+                this.recordEdit();
+            }
+        });
+
+        // ソロ/ミュートの切り替え、行のタップで選択
+        this.regionList.addEventListener('click', (e) => {
+            const item = e.target.closest('.region-item');
+            if (!item || e.target.classList.contains('region-name')) return;
+
+            const index = parseInt(item.dataset.index);
+            if (e.target.classList.contains('solo')) {
+                this.toggleRegionFlag(index, 'solo');
+            } else if (e.target.classList.contains('mute')) {
+                this.toggleRegionFlag(index, 'muted');
+            } else if (!e.target.classList.contains('region-drag-handle')) {
+                this.selectRegion(index);
+            }
+        });
+
+        // つまみをドラッグして並べ替え
+        const getDropIndex = (clientY) => {
+            const items = this.regionList.querySelectorAll('.region-item');
+            let insertAt = items.length;
+            for (let i = 0; i < items.length; i++) {
+                const rect = items[i].getBoundingClientRect();
+                if (clientY < rect.top + rect.height / 2) {
+                    insertAt = i;
+                    break;
+                }
+            }
+            // 自分より後ろに挿入する場合は自分の分を詰める
+            return insertAt > this.regionListDrag.from ? insertAt - 1 : insertAt;
+        };
+
+        const startDrag = (target) => {
+            const handle = target.closest('.region-drag-handle');
+            if (!handle) return false;
+
+            const item = handle.closest('.region-item');
+            const index = parseInt(item.dataset.index);
+            this.regionListDrag = { from: index, to: index };
+            item.classList.add('dragging');
+            return true;
+        };
+
+        const moveDrag = (clientY) => {
+            this.regionListDrag.to = getDropIndex(clientY);
+            this.regionList.querySelectorAll('.region-item').forEach((item, i) => {
+                item.classList.toggle('drop-target', i === this.regionListDrag.to && i !== this.regionListDrag.from);
+            });
+        };
+
+        const endDrag = () => {
+            const { from, to } = this.regionListDrag;
+            this.regionListDrag = null;
+
+            if (from !== to) {
+                this.moveRegion(from, to);
+            } else {
+                this.renderRegionList();
+            }
+        };
+
+        this.regionList.addEventListener('mousedown', (e) => {
+            if (startDrag(e.target)) e.preventDefault();
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!this.regionListDrag) return;
+            moveDrag(e.clientY);
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (!this.regionListDrag) return;
+            endDrag();
+        });
+
+        this.regionList.addEventListener('touchstart', (e) => {
+            if (startDrag(e.target)) e.preventDefault();
+        }, { passive: false });
+
+        document.addEventListener('touchmove', (e) => {
+            if (!this.regionListDrag) return;
+            e.preventDefault();
+            moveDrag(e.touches[0].clientY);
+        }, { passive: false });
+
+        document.addEventListener('touchend', () => {
+            if (!this.regionListDrag) return;
+            endDrag();
+        });
+    }
+
+    /**
+     * confirmモードで領域をクリック/タップして選択、固定領域は削除するハンドラのセットアップ
      */
     setupRegionClickHandler() {
         // ドラッグ判定用の変数
@@ -266,10 +810,16 @@ class App {
             mouseDownPos = { x: e.clientX, y: e.clientY };
         });
 
-        // マウスクリック（ドラッグでなければ削除）
+        // マウスクリック（ドラッグでなければ選択/削除）
         this.canvas.addEventListener('click', (e) => {
             if (this.mode !== 'confirm') return;
 
+            // 多角形の頂点配置やブラシに使われたタップはスキップ
+            if (this.renderer.consumeToolTap()) {
+                mouseDownPos = null;
+                return;
+            }
+
             // ドラッグ操作だった場合はスキップ
             if (mouseDownPos) {
                 const dx = e.clientX - mouseDownPos.x;
@@ -277,81 +827,887 @@ class App {
                 const distance = Math.sqrt(dx * dx + dy * dy);
                 if (distance >= DRAG_THRESHOLD) {
                     mouseDownPos = null;
-                    return; // ドラッグだったので削除しない
+                    return; // ドラッグだったので選択しない
                 }
             }
             mouseDownPos = null;
 
-            const rect = this.canvas.getBoundingClientRect();
-            const canvasX = e.clientX - rect.left;
-            const canvasY = e.clientY - rect.top;
+            const rect = this.canvas.getBoundingClientRect();
+            const canvasX = e.clientX - rect.left;
+            const canvasY = e.clientY - rect.top;
+
+            // 編集ハンドルのタップでは選択を変えない
+            if (this.renderer.hitTestHandle(canvasX, canvasY)) return;
+
+            const hitIndex = this.renderer.hitTestRegion(canvasX, canvasY);
+
+            // ばねでつなぐ先の選択中
+            if (this.linkPicking) {
+                this.finishLinkPicking(hitIndex);
+                return;
+            }
+
+            if (hitIndex >= 0) {
+                this.selectRegion(hitIndex);
+                return;
+            }
+
+            const fixedHitIndex = this.renderer.hitTestFixedRegion(canvasX, canvasY);
+            if (fixedHitIndex >= 0) {
+                this.deleteFixedRegionAt(fixedHitIndex);
+                return;
+            }
+
+            this.deselectRegion();
+        });
+
+        // タッチスタート位置を記録
+        this.canvas.addEventListener('touchstart', (e) => {
+            if (this.mode !== 'confirm') return;
+            if (e.touches.length > 0) {
+                touchStartPos = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            }
+        });
+
+        // タッチタップ（ドラッグでなければ選択/削除）
+        this.canvas.addEventListener('touchend', (e) => {
+            if (this.mode !== 'confirm') return;
+
+            // 多角形の頂点配置やブラシに使われたタップはスキップ
+            if (this.renderer.consumeToolTap()) {
+                touchStartPos = null;
+                return;
+            }
+
+            const touch = e.changedTouches[0];
+            if (!touch) return;
+
+            // ドラッグ操作だった場合はスキップ
+            if (touchStartPos) {
+                const dx = touch.clientX - touchStartPos.x;
+                const dy = touch.clientY - touchStartPos.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance >= DRAG_THRESHOLD) {
+                    touchStartPos = null;
+                    return; // ドラッグだったので選択しない
+                }
+            }
+            touchStartPos = null;
+
+            const rect = this.canvas.getBoundingClientRect();
+            const canvasX = touch.clientX - rect.left;
+            const canvasY = touch.clientY - rect.top;
+
+            // 編集ハンドルのタップでは選択を変えない
+            if (this.renderer.hitTestHandle(canvasX, canvasY)) {
+                e.preventDefault();
+                return;
+            }
+
+            const hitIndex = this.renderer.hitTestRegion(canvasX, canvasY);
+
+            // ばねでつなぐ先の選択中
+            if (this.linkPicking) {
+                e.preventDefault();
+                this.finishLinkPicking(hitIndex);
+                return;
+            }
+
+            if (hitIndex >= 0) {
+                e.preventDefault();
+                this.selectRegion(hitIndex);
+                return;
+            }
+
+            const fixedHitIndex = this.renderer.hitTestFixedRegion(canvasX, canvasY);
+            if (fixedHitIndex >= 0) {
+                e.preventDefault();
+                this.deleteFixedRegionAt(fixedHitIndex);
+                return;
+            }
+
+            this.deselectRegion();
+        });
+    }
+
+    /**
+     * 指定インデックスの領域を削除
+     * @param {number} index - 削除する領域のインデックス
+     */
+    deleteRegionAt(index) {
+        this.recordEdit();
+
+        // 編集中の選択を解除
+        this.deselectRegion();
+
+        // 相方を失った領域は左右対を解除し、削除する領域へのばねも外す
+        // 子は削除する領域の親につなぎ直す
+        const removed = this.renderer.getRegions()[index];
+        const removedId = removed.id;
+        for (const region of this.renderer.getRegions()) {
+            if (removedId === undefined) break;
+            if (region.mirrorOf === removedId) {
+                delete region.mirrorOf;
+            }
+            if (region.parent === removedId) {
+                if (removed.parent === undefined) {
+                    delete region.parent;
+                } else {
+                    region.parent = removed.parent;
+                }
+            }
+            if (region.links) {
+                region.links = region.links.filter(link => link.target !== removedId);
+                if (region.links.length === 0) delete region.links;
+            }
+        }
+
+        // renderer と physics の両方から削除
+        this.renderer.removeRegion(index);
+        this.physics.removeRegion(index);
+
+        // 描画を更新
+        this.renderer.render(null);
+
+        // 領域数を確認
+        const count = this.renderer.getRegionCount();
+        if (count === 0) {
+            // 領域がなくなったら選択モードに戻る
+            this.setMode('select');
+        } else {
+            // 領域数の表示を更新
+            this.regionCount.textContent = `選択済み: ${count}個`;
+            this.updateSelectionCount();
+            this.renderRegionList();
+        }
+    }
+
+    /**
+     * 領域を選択してパラメータ編集パネルを開く
+     * @param {number} index - 領域のインデックス
+     */
+    selectRegion(index) {
+        this.selectedRegionIndex = index;
+        this.renderer.setSelectedRegion(index);
+        this.renderer.render(null);
+        this.renderRegionList();
+
+        this.regionModalTitle.textContent = this.getRegionLabel(index);
+
+        // マスクには角度と減衰の設定がない（塗った濃さがそのまま影響度）
+        if (this.renderer.getRegions()[index].shape === 'mask') {
+            this.regionAngleRow.classList.add('hidden');
+            this.regionFalloffControls.classList.add('hidden');
+        } else {
+            this.regionAngleRow.classList.remove('hidden');
+            this.regionFalloffControls.classList.remove('hidden');
+        }
+        this.cancelLinkPicking();
+        this.updateRegionAngleControl();
+        this.updateRegionFalloffControls();
+        this.updateRegionParentControl();
+        this.renderRegionLinks();
+        this.updateRegionParamControls();
+        this.updateRegionTransformControls();
+        this.regionModal.classList.remove('hidden');
+    }
+
+    /**
+     * 領域の選択を解除してパラメータ編集パネルを閉じる
+     */
+    deselectRegion() {
+        this.cancelLinkPicking();
+        this.regionModal.classList.add('hidden');
+        if (this.selectedRegionIndex < 0) return;
+
+        this.selectedRegionIndex = -1;
+        this.renderer.setSelectedRegion(-1);
+        this.renderer.render(null);
+        this.renderRegionList();
+    }
+
+    /**
+     * 領域の表示名（名前がなければ番号）
+     * @param {number} index - 領域のインデックス
+     */
+    getRegionLabel(index) {
+        return this.renderer.getRegions()[index].name || `領域 ${index + 1}`;
+    }
+
+    /**
+     * 領域の名前を変更
+     * @param {number} index - 領域のインデックス
+     * @param {string} name - 新しい名前（空なら番号表示に戻す）
+     */
+    setRegionName(index, name) {
+        const region = this.renderer.getRegions()[index];
+        if (name.trim()) {
+            region.name = name;
+        } else {
+            delete region.name;
+        }
+
+        if (index === this.selectedRegionIndex) {
+            this.regionModalTitle.textContent = this.getRegionLabel(index);
+        }
+    }
+
+    /**
+     * 領域のソロ/ミュートを切り替えて物理エンジンに反映
+     * @param {number} index - 領域のインデックス
+     * @param {string} key - 'solo' または 'muted'
+     */
+    toggleRegionFlag(index, key) {
+        const region = this.renderer.getRegions()[index];
+        this.recordEdit();
+
+        region[key] = !region[key];
+        this.physics.setRegionVisibility(index, region);
+
+        this.renderer.render(null);
+        this.renderRegionList();
+    }
+
+    /**
+     * 領域の順番を変更（物理エンジンの遅延・位相も新しい順番で決め直す）
+     * @param {number} from - 移動する領域のインデックス
+     * @param {number} to - 移動先のインデックス
+     */
+    moveRegion(from, to) {
+        this.recordEdit();
+        this.deselectRegion();
+
+        this.renderer.moveRegion(from, to);
+        this.physics.moveRegion(from, to);
+
+        this.renderer.render(null);
+        this.renderRegionList();
+    }
+
+    /**
+     * 領域一覧パネルの表示を切り替え
+     */
+    toggleRegionPanel() {
+        this.regionPanelOpen = !this.regionPanelOpen;
+        this.regionListBtn.classList.toggle('active', this.regionPanelOpen);
+        this.updateRegionPanel();
+    }
+
+    /**
+     * 編集中かつ開いているときだけ領域一覧パネルを表示
+     */
+    updateRegionPanel() {
+        const editing = this.mode === 'select' || this.mode === 'confirm';
+        if (editing && this.regionPanelOpen) {
+            this.regionPanel.classList.remove('hidden');
+            this.renderRegionList();
+        } else {
+            this.regionPanel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * 領域一覧を描画
+     */
+    renderRegionList() {
+        if (this.regionPanel.classList.contains('hidden')) return;
+
+        const regions = this.renderer.getRegions();
+        if (regions.length === 0) {
+            this.regionList.innerHTML = '<li class="empty-message">領域がありません</li>';
+            return;
+        }
+
+        this.regionList.innerHTML = regions.map((region, index) => `
+            <li class="region-item${index === this.selectedRegionIndex ? ' selected' : ''}" data-index="${index}">
+                <span class="region-drag-handle">≡</span>
+                <input type="text" class="region-name" placeholder="領域 ${index + 1}">
+                <button class="region-toggle solo${region.solo ? ' active' : ''}" title="ソロ">S</button>
+                <button class="region-toggle mute${region.muted ? ' active' : ''}" title="ミュート">M</button>
+            </li>
+        `).join('');
+
+        // 名前は属性に埋め込まず value に直接設定
+        this.regionList.querySelectorAll('.region-name').forEach((input, index) => {
+            input.value = regions[index].name || '';
+        });
+    }
+
+    /**
+     * 選択中の領域の実際のパラメータをスライダーに反映
+     */
+    updateRegionParamControls() {
+        const params = this.physics.getRegionParams(this.selectedRegionIndex);
+        if (!params) return;
+
+        for (const [key, control] of Object.entries(this.regionParamControls)) {
+            control.range.value = params[key];
+            control.value.textContent = params[key].toFixed(control.digits);
+        }
+    }
+
+    /**
+     * 選択中の領域の角度をスライダーに反映
+     */
+    updateRegionAngleControl() {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        const degrees = Math.round((region.angle || 0) * 180 / Math.PI);
+        this.regionAngleRange.value = degrees;
+        this.regionAngleValue.textContent = `${degrees}°`;
+    }
+
+    /**
+     * 選択中の領域の角度を設定
+     * @param {number} angle - 角度（ラジアン、画面上で時計回り）
+     */
+    setSelectedRegionAngle(angle) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        // 多角形は頂点も一緒に回転させる
+        const ellipse = this.renderer.getRegionEllipse(region);
+        this.renderer.transformRegion(region, ellipse, { ...ellipse, angle }, region.points);
+        this.syncRegionShape(this.selectedRegionIndex);
+    }
+
+    /**
+     * 選択中の領域のパラメータを個別に設定（プリセットに保存される）
+     * @param {string} key - パラメータ名
+     * @param {number} value - 値
+     */
+    setSelectedRegionParam(key, value) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        region.params = { ...region.params, [key]: value };
+        this.physics.setRegionParams(this.selectedRegionIndex, region.params);
+        this.syncMirrorPartner(this.selectedRegionIndex);
+    }
+
+    /**
+     * 選択中の領域の個別パラメータを解除して自動設定に戻す
+     */
+    resetSelectedRegionParams() {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        this.recordEdit();
+
+        delete region.params;
+        this.physics.setRegionParams(this.selectedRegionIndex, {});
+        this.syncMirrorPartner(this.selectedRegionIndex);
+        this.updateRegionParamControls();
+    }
+
+    /**
+     * 選択中の領域につながっているばねの一覧を描画（どちらの領域から出ているばねも表示）
+     */
+    renderRegionLinks() {
+        const regions = this.renderer.getRegions();
+        const selected = regions[this.selectedRegionIndex];
+        if (!selected) return;
+
+        const rows = [];
+        regions.forEach((region, owner) => {
+            (region.links || []).forEach((link, linkIndex) => {
+                const otherIndex = owner === this.selectedRegionIndex
+                    ? regions.findIndex(r => r.id === link.target)
+                    : (link.target === selected.id ? owner : -1);
+                if (otherIndex < 0) return;
+
+                const { stiffness, damping } = { ...PhysicsEngine.DEFAULT_LINK, ...link };
+                rows.push(`
+                    <li class="region-link-item" data-owner="${owner}" data-link="${linkIndex}">
+                        <div class="region-link-header">
+                            <span>↔ ${this.escapeHtml(this.getRegionLabel(otherIndex))}</span>
+                            <button class="region-link-delete" title="外す">&times;</button>
+                        </div>
+                        <div class="setting-row">
+                            <label>硬さ:</label>
+                            <input type="range" data-link-param="stiffness" min="0.01" max="0.3" step="0.01" value="${stiffness}">
+                            <span>${stiffness.toFixed(2)}</span>
+                        </div>
+                        <div class="setting-row">
+                            <label>減衰:</label>
+                            <input type="range" data-link-param="damping" min="0" max="0.5" step="0.01" value="${damping}">
+                            <span>${damping.toFixed(2)}</span>
+                        </div>
+                    </li>
+                `);
+            });
+        });
+
+        this.regionLinkList.innerHTML = rows.join('');
+    }
+
+    /**
+     * 親の選択肢を作る（自分と自分の子孫は親にできない）
+     */
+    updateRegionParentControl() {
+        const regions = this.renderer.getRegions();
+        const selected = regions[this.selectedRegionIndex];
+        if (!selected) return;
+
+        this.regionParentSelect.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'なし';
+        this.regionParentSelect.appendChild(none);
+
+        regions.forEach((region, index) => {
+            if (index === this.selectedRegionIndex || region.id === undefined) return;
+            if (selected.id !== undefined && this.isRegionDescendant(index, selected.id)) return;
+
+            const option = document.createElement('option');
+            option.value = region.id;
+            option.textContent = this.getRegionLabel(index);
+            this.regionParentSelect.appendChild(option);
+        });
+
+        this.regionParentSelect.value = selected.parent === undefined ? '' : selected.parent;
+    }
+
+    /**
+     * 領域が指定した領域の子孫か（親をたどって調べる）
+     * @param {number} index - 調べる領域のインデックス
+     * @param {number} ancestorId - 祖先かどうか調べる領域の id
+     */
+    isRegionDescendant(index, ancestorId) {
+        const regions = this.renderer.getRegions();
+        const visited = new Set();
+        let region = regions[index];
+
+        while (region && region.parent !== undefined && !visited.has(region)) {
+            if (region.parent === ancestorId) return true;
+            visited.add(region);
+            region = regions.find(r => r.id === region.parent);
+        }
+        return false;
+    }
+
+    /**
+     * 選択中の領域の親を設定
+     * @param {number|undefined} parentId - 親の領域の id（undefined で親なし）
+     */
+    setSelectedRegionParent(parentId) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        this.recordEdit();
+
+        // id のない領域（古いデータ）には振ってから参照する
+        if (region.id === undefined) {
+            region.id = this.createRegionId();
+            this.physics.regions[this.selectedRegionIndex].id = region.id;
+        }
+
+        if (parentId === undefined) {
+            delete region.parent;
+        } else {
+            region.parent = parentId;
+        }
+        this.physics.setRegionParent(this.selectedRegionIndex, parentId);
+        this.renderer.render(null);
+    }
+
+    /**
+     * ばねでつなぐ先の領域をタップで選ぶ状態にする
+     */
+    startLinkPicking() {
+        if (this.selectedRegionIndex < 0) return;
+
+        this.linkPicking = true;
+        this.addRegionLinkBtn.textContent = 'つなぐ領域をタップ（もう一度押すと中止）';
+        this.addRegionLinkBtn.classList.add('active');
+        this.selectionInstruction.textContent = 'つなぐ先の領域をタップ';
+    }
+
+    /**
+     * つなぐ先の選択を中止
+     */
+    cancelLinkPicking() {
+        if (!this.linkPicking) return;
+
+        this.linkPicking = false;
+        this.addRegionLinkBtn.textContent = 'ほかの領域とつなぐ';
+        this.addRegionLinkBtn.classList.remove('active');
+        if (this.mode === 'confirm') this.setMode('confirm');
+    }
+
+    /**
+     * タップした領域と選択中の領域をばねでつなぐ
+     * @param {number} targetIndex - タップした領域のインデックス（-1なら中止）
+     */
+    finishLinkPicking(targetIndex) {
+        const sourceIndex = this.selectedRegionIndex;
+        this.cancelLinkPicking();
+
+        if (targetIndex >= 0 && targetIndex !== sourceIndex) {
+            this.addRegionLink(sourceIndex, targetIndex);
+        }
+    }
+
+    /**
+     * 2つの領域をばねでつなぐ（すでにつながっていれば何もしない）
+     * @param {number} fromIndex - ばねを持たせる領域のインデックス
+     * @param {number} toIndex - つなぐ先の領域のインデックス
+     */
+    addRegionLink(fromIndex, toIndex) {
+        const regions = this.renderer.getRegions();
+        const from = regions[fromIndex];
+        const to = regions[toIndex];
+        if (!from || !to) return;
+
+        const linked = (a, b) => a.id !== undefined && (b.links || []).some(link => link.target === a.id);
+        if (linked(from, to) || linked(to, from)) return;
+
+        this.recordEdit();
+
+        // id のない領域（古いデータ）には振ってから参照する
+        for (const [index, region] of [[fromIndex, from], [toIndex, to]]) {
+            if (region.id === undefined) {
+                region.id = this.createRegionId();
+                this.physics.regions[index].id = region.id;
+            }
+        }
+
+        from.links = [...(from.links || []), { target: to.id, ...PhysicsEngine.DEFAULT_LINK }];
+        this.physics.setRegionLinks(fromIndex, from.links);
+
+        this.renderer.render(null);
+        this.renderRegionLinks();
+    }
+
+    /**
+     * ばねの硬さ・減衰を変更
+     * @param {number} owner - ばねを持つ領域のインデックス
+     * @param {number} linkIndex - その領域の links 内のインデックス
+     * @param {string} key - 'stiffness' または 'damping'
+     * @param {number} value - 値
+     */
+    setRegionLinkParam(owner, linkIndex, key, value) {
+        const region = this.renderer.getRegions()[owner];
+        if (!region || !region.links || !region.links[linkIndex]) return;
+
+        region.links[linkIndex] = { ...region.links[linkIndex], [key]: value };
+        this.physics.setRegionLinks(owner, region.links);
+    }
+
+    /**
+     * ばねを外す
+     * @param {number} owner - ばねを持つ領域のインデックス
+     * @param {number} linkIndex - その領域の links 内のインデックス
+     */
+    removeRegionLink(owner, linkIndex) {
+        const region = this.renderer.getRegions()[owner];
+        if (!region || !region.links) return;
+
+        this.recordEdit();
+        region.links = region.links.filter((_, i) => i !== linkIndex);
+        if (region.links.length === 0) delete region.links;
+        this.physics.setRegionLinks(owner, region.links);
+
+        this.renderer.render(null);
+        this.renderRegionLinks();
+    }
+
+    /**
+     * 選択中の領域の影響の減衰をコントロールに反映
+     */
+    updateRegionFalloffControls() {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        const falloff = { ...PhysicsEngine.DEFAULT_FALLOFF, ...region.falloff };
+
+        this.regionFalloffCurve.value = falloff.curve;
+        this.regionFalloffBias.value = falloff.bias;
+        this.regionFalloffInnerRange.value = falloff.inner;
+        this.regionFalloffInnerValue.textContent = falloff.inner.toFixed(2);
+        this.regionFalloffOuterRange.value = falloff.outer;
+        this.regionFalloffOuterValue.textContent = falloff.outer.toFixed(2);
+
+        // 今の設定と一致するプリセットを強調
+        const presets = { ...PhysicsEngine.FALLOFF_PRESETS, default: PhysicsEngine.DEFAULT_FALLOFF };
+        this.regionFalloffPresetBtns.forEach(btn => {
+            const preset = presets[btn.dataset.falloffPreset];
+            const matches = Object.keys(preset).every(key => preset[key] === falloff[key]);
+            btn.classList.toggle('active', matches);
+        });
+    }
+
+    /**
+     * 選択中の領域の影響の減衰を一部変更（プリセットに保存される）
+     * @param {Object} changes - { inner, outer, curve, bias } の一部
+     */
+    setSelectedRegionFalloff(changes) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        region.falloff = { ...PhysicsEngine.DEFAULT_FALLOFF, ...region.falloff, ...changes };
+        this.physics.setRegionFalloff(this.selectedRegionIndex, region.falloff);
+        this.syncMirrorPartner(this.selectedRegionIndex);
+
+        this.updateRegionFalloffControls();
+        this.renderer.render(null);
+    }
+
+    /**
+     * 選択中の領域に減衰のプリセットを適用
+     * @param {string} name - 'hard' | 'soft' | 'linear'、'default' で標準に戻す
+     */
+    applySelectedRegionFalloffPreset(name) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        this.recordEdit();
+        if (name === 'default') {
+            delete region.falloff;
+            this.physics.setRegionFalloff(this.selectedRegionIndex, {});
+            this.syncMirrorPartner(this.selectedRegionIndex);
+            this.updateRegionFalloffControls();
+            this.renderer.render(null);
+        } else {
+            this.setSelectedRegionFalloff(PhysicsEngine.FALLOFF_PRESETS[name]);
+        }
+    }
+
+    /**
+     * 選択中の領域のグループと自動パターンの変換をコントロールに反映
+     */
+    updateRegionTransformControls() {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        const transform = { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...region.forceTransform };
+
+        this.updateGroupOptions();
+        this.regionGroupInput.value = region.group || '';
+        this.applyGroupTransformBtn.disabled = !region.group;
+
+        this.regionMirrorXBtn.classList.toggle('active', transform.mirrorX);
+        this.regionMirrorYBtn.classList.toggle('active', transform.mirrorY);
+        this.regionMirrorScopeSelect.value = transform.mirrorPatterns ? 'knead' : 'all';
+        this.regionPhaseRange.value = transform.phase;
+        this.regionPhaseValue.textContent = `${transform.phase}°`;
+        this.regionGainRange.value = transform.gain;
+        this.regionGainValue.textContent = transform.gain.toFixed(1);
+    }
+
+    /**
+     * グループ名の候補を既存の領域から作る
+     */
+    updateGroupOptions() {
+        const groups = new Set(this.renderer.getRegions().map(region => region.group).filter(Boolean));
+
+        this.regionGroupOptions.innerHTML = '';
+        for (const group of groups) {
+            const option = document.createElement('option');
+            option.value = group;
+            this.regionGroupOptions.appendChild(option);
+        }
+    }
+
+    /**
+     * 選択中の領域のグループを設定
+     * @param {string} group - グループ名（空ならグループなし）
+     */
+    setSelectedRegionGroup(group) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        if (group.trim()) {
+            region.group = group.trim();
+        } else {
+            delete region.group;
+        }
+        this.applyGroupTransformBtn.disabled = !region.group;
+    }
+
+    /**
+     * 選択中の領域の自動パターンの変換を一部変更（プリセットに保存される）
+     * @param {Object} changes - { mirrorX, mirrorY, mirrorPatterns, phase, gain } の一部
+     */
+    setSelectedRegionTransform(changes) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        region.forceTransform = { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...region.forceTransform, ...changes };
+        this.physics.setRegionForceTransform(this.selectedRegionIndex, region.forceTransform);
+        this.syncMirrorPartner(this.selectedRegionIndex);
+    }
+
+    /**
+     * 選択中の領域の左右/上下反転を切り替え
+     * @param {string} key - 'mirrorX' または 'mirrorY'
+     */
+    toggleSelectedRegionMirror(key) {
+        const region = this.renderer.getRegions()[this.selectedRegionIndex];
+        if (!region) return;
+
+        this.recordEdit();
+        const transform = { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...region.forceTransform };
+        this.setSelectedRegionTransform({ [key]: !transform[key] });
+        this.updateRegionTransformControls();
+    }
+
+    /**
+     * 選択中の領域の変換を同じグループの領域すべてにコピー
+     */
+    applyTransformToGroup() {
+        const regions = this.renderer.getRegions();
+        const source = regions[this.selectedRegionIndex];
+        if (!source || !source.group) return;
+
+        this.recordEdit();
+        const sourcePartner = this.getMirrorPartnerIndex(this.selectedRegionIndex);
+        regions.forEach((region, index) => {
+            if (region.group !== source.group) return;
+
+            // 左右対の相方には反転した変換を使う
+            region.forceTransform = index === sourcePartner
+                ? this.mirrorForceTransform(source.forceTransform)
+                : { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...source.forceTransform };
+            this.physics.setRegionForceTransform(index, region.forceTransform);
+
+            const partner = this.getMirrorPartnerIndex(index);
+            if (partner >= 0 && regions[partner].group !== source.group) {
+                this.syncMirrorPartner(index);
+            }
+        });
+    }
+
+    /**
+     * 左右対の相方用に、左右反転を入れ替えて位相の回転を逆向きにした変換を作る
+     * @param {Object} transform - 元の変換
+     * @returns {Object} - { mirrorX, mirrorY, mirrorPatterns, phase, gain }
+     */
+    mirrorForceTransform(transform) {
+        const mirrored = { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...transform };
+        mirrored.mirrorX = !mirrored.mirrorX;
+        mirrored.phase = (360 - mirrored.phase) % 360;
+        return mirrored;
+    }
+
+    /**
+     * 新しい領域のID（左右対などの領域どうしの参照に使う）
+     * @returns {number}
+     */
+    createRegionId() {
+        const ids = this.renderer.getRegions().map(region => region.id || 0);
+        return Math.max(0, ...ids) + 1;
+    }
+
+    /**
+     * 左右対の相方のインデックスを取得
+     * @param {number} index - 領域のインデックス
+     * @returns {number} - 相方のインデックス、なければ-1
+     */
+    getMirrorPartnerIndex(index) {
+        const regions = this.renderer.getRegions();
+        const region = regions[index];
+        if (!region) return -1;
 
-            const hitIndex = this.renderer.hitTestRegion(canvasX, canvasY);
-            if (hitIndex >= 0) {
-                this.deleteRegionAt(hitIndex);
-            }
-        });
+        return regions.findIndex((other, i) => i !== index && (
+            (region.mirrorOf !== undefined && other.id === region.mirrorOf) ||
+            (region.id !== undefined && other.mirrorOf === region.id)
+        ));
+    }
 
-        // タッチスタート位置を記録
-        this.canvas.addEventListener('touchstart', (e) => {
-            if (this.mode !== 'confirm') return;
-            if (e.touches.length > 0) {
-                touchStartPos = { x: e.touches[0].clientX, y: e.touches[0].clientY };
-            }
-        });
+    /**
+     * 領域のパラメータと自動パターンの変換を左右対の相方にも反映
+     * @param {number} index - 変更した領域のインデックス
+     */
+    syncMirrorPartner(index) {
+        const partnerIndex = this.getMirrorPartnerIndex(index);
+        if (partnerIndex < 0) return;
 
-        // タッチタップ（ドラッグでなければ削除）
-        this.canvas.addEventListener('touchend', (e) => {
-            if (this.mode !== 'confirm') return;
+        const regions = this.renderer.getRegions();
+        const region = regions[index];
+        const partner = regions[partnerIndex];
 
-            const touch = e.changedTouches[0];
-            if (!touch) return;
+        if (region.params) {
+            partner.params = { ...region.params };
+        } else {
+            delete partner.params;
+        }
+        partner.forceTransform = this.mirrorForceTransform(region.forceTransform);
+        if (region.falloff) {
+            partner.falloff = this.mirrorFalloff(region.falloff);
+        } else {
+            delete partner.falloff;
+        }
 
-            // ドラッグ操作だった場合はスキップ
-            if (touchStartPos) {
-                const dx = touch.clientX - touchStartPos.x;
-                const dy = touch.clientY - touchStartPos.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance >= DRAG_THRESHOLD) {
-                    touchStartPos = null;
-                    return; // ドラッグだったので削除しない
-                }
-            }
-            touchStartPos = null;
+        this.physics.setRegionParams(partnerIndex, partner.params || {});
+        this.physics.setRegionForceTransform(partnerIndex, partner.forceTransform);
+        this.physics.setRegionFalloff(partnerIndex, partner.falloff || {});
+    }
 
-            const rect = this.canvas.getBoundingClientRect();
-            const canvasX = touch.clientX - rect.left;
-            const canvasY = touch.clientY - rect.top;
+    /**
+     * 左右対の相方用に、強める側の左右を入れ替えた減衰を作る
+     * @param {Object} falloff - 元の減衰
+     * @returns {Object} - { inner, outer, curve, bias }
+     */
+    mirrorFalloff(falloff) {
+        const sides = { left: 'right', right: 'left' };
+        return { ...falloff, bias: sides[falloff.bias] || falloff.bias };
+    }
 
-            const hitIndex = this.renderer.hitTestRegion(canvasX, canvasY);
-            if (hitIndex >= 0) {
-                e.preventDefault();
-                this.deleteRegionAt(hitIndex);
-            }
-        });
+    /**
+     * 対称モードの切り替え（ONの間は新しい領域に左右対の相方を作る）
+     */
+    toggleSymmetry() {
+        const enabled = !this.renderer.isSymmetryEnabled();
+        this.renderer.setSymmetryEnabled(enabled);
+        this.symmetryBtn.textContent = enabled ? '対称:ON' : '対称:OFF';
+        this.symmetryBtn.classList.toggle('active', enabled);
     }
 
     /**
-     * 指定インデックスの領域を削除
-     * @param {number} index - 削除する領域のインデックス
+     * 新しい領域の自動パターンの変換の初期値
+     * 画像の右半分にある領域はもみもみのときだけ左右反転し、回転が左右対称になるようにする
+     * @param {Object} region - 領域
+     * @returns {Object} - { mirrorX, mirrorY, mirrorPatterns, phase, gain }
      */
-    deleteRegionAt(index) {
-        // renderer と physics の両方から削除
-        this.renderer.removeRegion(index);
-        this.physics.removeRegion(index);
+    createForceTransform(region) {
+        return {
+            ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM,
+            mirrorX: region.x + region.width / 2 > 0.5,
+            mirrorPatterns: [...PhysicsEngine.KNEAD_PATTERNS]
+        };
+    }
+
+    /**
+     * 指定インデックスの固定領域を削除
+     * @param {number} index - 削除する固定領域のインデックス
+     */
+    deleteFixedRegionAt(index) {
+        this.recordEdit();
+
+        this.renderer.removeFixedRegion(index);
+        this.physics.removeFixedRegion(index);
 
-        // 描画を更新
         this.renderer.render(null);
+        this.updateSelectionCount();
+    }
 
-        // 領域数を確認
+    /**
+     * 選択オーバーレイの領域数表示を更新
+     */
+    updateSelectionCount() {
         const count = this.renderer.getRegionCount();
-        if (count === 0) {
-            // 領域がなくなったら選択モードに戻る
-            this.setMode('select');
-        } else {
-            // 領域数の表示を更新
-            this.regionCount.textContent = `選択済み: ${count}個`;
+        const fixedCount = this.renderer.getFixedRegionCount();
+        const parts = [];
+
+        if (this.mode === 'confirm') {
+            parts.push(`選択済み: ${count}個`);
+        }
+        if (fixedCount > 0) {
+            parts.push(`固定: ${fixedCount}個`);
         }
+        this.selectionCount.textContent = parts.join(' / ');
     }
 
     /**
@@ -414,6 +1770,7 @@ class App {
             this.physics.setImageAspectRatio(img.width, img.height);
 
             this.renderer.resize();
+            this.clearHistory();
             this.setMode('select');
 
         } catch (error) {
@@ -462,27 +1819,48 @@ class App {
                 // コントロールパネル表示、選択オーバーレイ非表示
                 this.controls.classList.remove('hidden');
                 this.selectionOverlay.classList.add('hidden');
+                this.editTools.classList.add('hidden');
                 break;
 
             case 'select':
                 // コントロールパネルを非表示にして選択オーバーレイを表示
                 this.controls.classList.add('hidden');
-                if (count === 0) {
+                if (this.isFixedMode()) {
+                    this.selectionInstruction.textContent = 'ドラッグで固定領域を選択';
+                } else if (this.renderer.selectionTool === 'lasso') {
+                    this.selectionInstruction.textContent = 'なぞって領域を囲む';
+                } else if (this.renderer.selectionTool === 'polygon') {
+                    this.selectionInstruction.textContent = 'タップで頂点を置き、最初の点で閉じる';
+                } else if (this.renderer.selectionTool === 'brush') {
+                    this.selectionInstruction.textContent = 'なぞって揺らす部分を塗る';
+                } else if (count === 0) {
                     this.selectionInstruction.textContent = 'ドラッグで領域を選択';
                 } else {
                     this.selectionInstruction.textContent = 'ドラッグで追加の領域を選択';
                 }
-                this.selectionCount.textContent = '';
+                this.updateSelectionCount();
                 this.selectionOverlay.classList.remove('hidden');
+                this.editTools.classList.remove('hidden');
                 this.renderer.enableSelection();
                 break;
 
             case 'confirm':
                 // コントロールパネルを非表示のまま、選択オーバーレイに情報を表示
                 this.controls.classList.add('hidden');
-                this.selectionInstruction.textContent = 'ドラッグで追加、タップで削除';
-                this.selectionCount.textContent = `選択済み: ${count}個`;
+                if (this.isFixedMode()) {
+                    this.selectionInstruction.textContent = 'ドラッグで固定領域を追加、タップで削除';
+                } else if (this.renderer.selectionTool === 'lasso') {
+                    this.selectionInstruction.textContent = 'なぞって追加、タップで選択・変形';
+                } else if (this.renderer.selectionTool === 'polygon') {
+                    this.selectionInstruction.textContent = '空きをタップで頂点を追加、領域をタップで選択・変形';
+                } else if (this.renderer.selectionTool === 'brush') {
+                    this.selectionInstruction.textContent = 'なぞって塗る（形を切り替えると次は新しいマスク）';
+                } else {
+                    this.selectionInstruction.textContent = 'ドラッグで追加、タップで選択・変形';
+                }
+                this.updateSelectionCount();
                 this.selectionOverlay.classList.remove('hidden');
+                this.editTools.classList.remove('hidden');
                 // 開始/終了ボタンを右上に表示
                 this.toggleUIBtn.classList.add('hidden');
                 this.showConfirmButtons();
@@ -507,7 +1885,9 @@ class App {
                 // コントロールパネル表示、選択オーバーレイ非表示
                 this.controls.classList.remove('hidden');
                 this.selectionOverlay.classList.add('hidden');
+                this.editTools.classList.add('hidden');
                 this.hideConfirmButtons();
+                this.deselectRegion();
                 this.renderer.disableSelection();
                 // デフォルトで枠を非表示
                 if (this.renderer.isShowingRegions()) {
@@ -515,6 +1895,8 @@ class App {
                 }
                 break;
         }
+
+        this.updateRegionPanel();
     }
 
     /**
@@ -548,16 +1930,231 @@ class App {
     }
 
     onRegionSelected(region) {
+        this.recordEdit();
+
+        if (!region.forceTransform) {
+            region.forceTransform = this.createForceTransform(region);
+        }
+        region.id = this.createRegionId();
+
         // 領域を追加
         this.renderer.addRegion(region);
         this.physics.addRegion(region);
 
+        // 対称モードでは軸の反対側に左右対の相方を作る
+        const partner = this.renderer.isSymmetryEnabled() ? this.renderer.mirrorRegion(region) : null;
+        if (partner) {
+            partner.id = this.createRegionId();
+            partner.mirrorOf = region.id;
+            partner.forceTransform = this.mirrorForceTransform(region.forceTransform);
+            if (region.falloff) {
+                partner.falloff = this.mirrorFalloff(region.falloff);
+            }
+
+            this.renderer.addRegion(partner);
+            this.physics.addRegion(partner);
+        }
+
         // 描画更新
         this.renderer.render(null);
 
         this.setMode('confirm');
     }
 
+    /**
+     * ハンドルやブラシで変更した領域を履歴に記録して物理エンジンに反映
+     * @param {number} index - 領域のインデックス
+     */
+    onRegionChanged(index) {
+        const region = this.renderer.getRegions()[index];
+
+        // すべて消されたマスクは領域ごと削除
+        if (region.shape === 'mask' && region.width === 0) {
+            this.deleteRegionAt(index);
+            return;
+        }
+
+        this.recordEdit();
+        this.syncRegionShape(index);
+    }
+
+    /**
+     * 領域の形状を物理エンジンに反映
+     * @param {number} index - 領域のインデックス
+     */
+    syncRegionShape(index) {
+        this.physics.setRegionShape(index, this.renderer.getRegions()[index]);
+        this.renderer.render(null);
+
+        if (index === this.selectedRegionIndex) {
+            this.updateRegionAngleControl();
+        }
+    }
+
+    /**
+     * 固定領域の選択完了時の処理
+     * @param {Object} region - 選択された固定領域（正規化座標）
+     */
+    onFixedRegionSelected(region) {
+        this.recordEdit();
+
+        // 固定領域を追加
+        this.renderer.addFixedRegion(region);
+        this.physics.addFixedRegion(region);
+
+        // 描画更新
+        this.renderer.render(null);
+
+        // 揺れ領域がまだなければ選択モードのまま
+        this.setMode(this.renderer.getRegionCount() > 0 ? 'confirm' : 'select');
+    }
+
+    /**
+     * 元に戻す/やり直し用に現在の領域・固定領域を複製
+     * @returns {Object} - { regions, fixedRegions }
+     */
+    captureEditState() {
+        return {
+            regions: structuredClone(this.renderer.getRegions()),
+            fixedRegions: structuredClone(this.renderer.getFixedRegions())
+        };
+    }
+
+    /**
+     * 続けて変わる編集の開始前の状態を控える（recordEdit で記録される）
+     */
+    beginEdit() {
+        this.pendingEditState = this.captureEditState();
+    }
+
+    /**
+     * 編集前の状態を履歴に記録（beginEdit で控えた状態があればそれを使う）
+     */
+    recordEdit() {
+        this.history.push(this.pendingEditState || this.captureEditState());
+        this.pendingEditState = null;
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * 直前の編集を元に戻す
+     */
+    undo() {
+        const state = this.history.undo(this.captureEditState());
+        if (state) this.restoreEditState(state);
+    }
+
+    /**
+     * 元に戻した編集をやり直す
+     */
+    redo() {
+        const state = this.history.redo(this.captureEditState());
+        if (state) this.restoreEditState(state);
+    }
+
+    /**
+     * 履歴の状態で領域・固定領域を置き換える
+     * @param {Object} state - captureEditState で作った状態
+     */
+    restoreEditState(state) {
+        this.deselectRegion();
+        this.renderer.cancelPolygon();
+        this.pendingEditState = null;
+
+        this.renderer.clearRegions();
+        for (const region of state.regions) {
+            this.renderer.addRegion(region);
+        }
+        this.renderer.clearFixedRegions();
+        for (const region of state.fixedRegions) {
+            this.renderer.addFixedRegion(region);
+        }
+
+        this.physics.setRegions(this.renderer.getRegions());
+        this.physics.setFixedRegions(this.renderer.getFixedRegions());
+
+        this.renderer.render(null);
+        this.setMode(this.renderer.getRegionCount() > 0 ? 'confirm' : 'select');
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * 履歴を破棄
+     */
+    clearHistory() {
+        this.history.clear();
+        this.pendingEditState = null;
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * 元に戻す/やり直しボタンの有効状態を更新
+     */
+    updateHistoryButtons() {
+        this.undoBtn.disabled = !this.history.canUndo();
+        this.redoBtn.disabled = !this.history.canRedo();
+    }
+
+    /**
+     * 固定領域の選択モードかどうか
+     */
+    isFixedMode() {
+        return this.renderer.selectionTarget === 'fixed';
+    }
+
+    /**
+     * 揺れ領域/固定領域の選択を切り替え
+     */
+    toggleFixedMode() {
+        const fixed = !this.isFixedMode();
+        this.renderer.setSelectionTarget(fixed ? 'fixed' : 'region');
+        this.fixedModeBtn.textContent = fixed ? '固定:ON' : '固定:OFF';
+        if (fixed) {
+            this.fixedModeBtn.classList.add('active');
+        } else {
+            this.fixedModeBtn.classList.remove('active');
+        }
+
+        // 指示テキストを更新
+        this.setMode(this.mode);
+    }
+
+    /**
+     * 揺れ領域の選択ツールを 楕円 → 投げ縄 → 多角形 → ブラシ の順に切り替え
+     */
+    cycleShapeTool() {
+        const tools = ['ellipse', 'lasso', 'polygon', 'brush'];
+        const labels = { ellipse: '形:楕円', lasso: '形:投げ縄', polygon: '形:多角形', brush: '形:ブラシ' };
+
+        const current = tools.indexOf(this.renderer.selectionTool);
+        const tool = tools[(current + 1) % tools.length];
+        this.renderer.setSelectionTool(tool);
+        this.shapeToolBtn.textContent = labels[tool];
+
+        // ブラシの設定はブラシ選択中のみ表示
+        if (tool === 'brush') {
+            this.brushTools.classList.remove('hidden');
+        } else {
+            this.brushTools.classList.add('hidden');
+        }
+
+        // 指示テキストを更新
+        this.setMode(this.mode);
+    }
+
+    /**
+     * ブラシを 塗る → 消す → ぼかす の順に切り替え
+     */
+    cycleBrushMode() {
+        const modes = ['add', 'erase', 'feather'];
+        const labels = { add: '筆:塗る', erase: '筆:消す', feather: '筆:ぼかす' };
+
+        const current = modes.indexOf(this.renderer.brushMode);
+        const mode = modes[(current + 1) % modes.length];
+        this.renderer.setBrushMode(mode);
+        this.brushModeBtn.textContent = labels[mode];
+    }
+
     /**
      * アニメーションを一時停止して領域編集モードに入る
      */
@@ -589,11 +2186,16 @@ class App {
     }
 
     async startAnimation() {
+        // 拡大・移動は編集中のみ
+        this.renderer.resetView();
+
         // 物理エンジンに領域を設定
         this.physics.setRegions(this.renderer.getRegions());
+        this.physics.setFixedRegions(this.renderer.getFixedRegions());
 
         // モーションセンサーを初期化（許可要求はセンサーボタン押下時に行う）
         this.motionSensor = new MotionSensor(this.boundHandleMotion);
+        this.motionSensor.setSensorSettings(this.sensorSettings);
 
         // 保存された自動強さを適用
         if (this.savedAutoStrength !== undefined) {
@@ -604,33 +2206,161 @@ class App {
         this.motionSensor.start();
         this.setMode('animate');
         this.isAnimating = true;
+        this.lastFrameTime = null;
         this.animate();
     }
 
+    /**
+     * 入力の力を物理エンジンの単位（画像の短辺の1%）に換算
+     * マウス/タッチは表示中の画像サイズ、それ以外は基準サイズで換算する
+     * @param {Object} data - MotionSensorからのデータ
+     * @param {Object} force - 力 {x, y}
+     */
+    toPhysicsForce(data, force) {
+        if (data.type === 'mouse' || data.type === 'touch' || data.type === 'pointerMove') {
+            return this.renderer.pixelsToUnits(force);
+        }
+        return {
+            x: PhysicsEngine.pixelsToUnits(force.x || 0),
+            y: PhysicsEngine.pixelsToUnits(force.y || 0)
+        };
+    }
+
     handleMotion(data) {
         if (!this.isAnimating) return;
 
-        if (data.type === 'tap') {
-            this.physics.applyImpulse(data.impulse);
+        if (data.type === 'gesture') {
+            this.applyGestureImpulse(data);
         } else if (data.type === 'pressStart') {
             // クライアント座標を正規化座標に変換
             const normalizedPos = this.renderer.clientToNormalized(data.clientX, data.clientY);
-            this.physics.startPress(data.id, normalizedPos.x, normalizedPos.y);
+            this.physics.startPress(data.id, normalizedPos.x, normalizedPos.y, data.pressure, data.tilt);
+        } else if (data.type === 'pressMove') {
+            const normalizedPos = this.renderer.clientToNormalized(data.clientX, data.clientY);
+            this.physics.updatePressPosition(data.id, normalizedPos.x, normalizedPos.y, data.pressure, data.tilt);
         } else if (data.type === 'pressEnd') {
             this.physics.endPress(data.id);
+        } else if (data.type === 'grabStart') {
+            const normalizedPos = this.renderer.clientToNormalized(data.clientX, data.clientY);
+            this.physics.startGrab(data.id, normalizedPos.x, normalizedPos.y);
+        } else if (data.type === 'grabMove') {
+            const normalizedPos = this.renderer.clientToNormalized(data.clientX, data.clientY);
+            this.physics.updateGrabPosition(data.id, normalizedPos.x, normalizedPos.y);
+        } else if (data.type === 'grabEnd') {
+            this.physics.endGrab(data.id);
         } else if (data.type === 'pointerMove') {
             // ポインタ位置を基準にした揺れ
             const normalizedPos = this.renderer.clientToNormalized(data.clientX, data.clientY);
-            this.physics.applyForceAtPosition(data.force, normalizedPos.x, normalizedPos.y);
+            this.physics.queueForceAtPosition(this.toPhysicsForce(data, data.force), normalizedPos.x, normalizedPos.y);
+        } else if (data.type === 'gravity') {
+            // 傾きで垂れる力は次の値が来るまでかかり続ける
+            this.physics.setGravityForce(this.toPhysicsForce(data, data.force));
+        } else if (data.type === 'auto') {
+            // 自動パターンの力は次の値が来るまでかかり続ける
+            this.physics.setAutoForce(this.toPhysicsForce(data, data.force), data.patternId);
         } else {
-            this.physics.update(data.force, data.patternId);
+            // 入力は次の物理ステップでまとめて適用
+            this.physics.queueForce(this.toPhysicsForce(data, data.force));
+        }
+    }
+
+    /**
+     * ジェスチャーに割り当てた衝撃を与える
+     * @param {Object} data - { gesture, clientX, clientY, direction（フリックの向き） }
+     */
+    applyGestureImpulse(data) {
+        const setting = this.gestureSettings[data.gesture];
+        if (!setting || setting.magnitude <= 0) return;
+
+        const direction = setting.direction === 'flick'
+            ? data.direction || MotionSensor.GESTURE_DIRECTIONS.up
+            : MotionSensor.GESTURE_DIRECTIONS[setting.direction];
+        if (!direction) return;
+
+        const targets = this.getGestureTargets(setting.target, data);
+        if (targets && targets.length === 0) return;
+
+        const impulse = { x: direction.x * setting.magnitude, y: direction.y * setting.magnitude };
+        this.physics.applyImpulse(this.toPhysicsForce(data, impulse), targets);
+    }
+
+    /**
+     * ジェスチャーの衝撃を与える領域
+     * @param {string} target - 'all' | 'touched' | 'group:名前'
+     * @param {Object} data - ジェスチャーの通知（触れた位置）
+     * @returns {Array|null} - 領域のインデックス（nullはすべて）
+     */
+    getGestureTargets(target, data) {
+        if (target === 'touched') {
+            const normalizedPos = this.renderer.clientToNormalized(data.clientX, data.clientY);
+            return this.physics.getRegionIndicesAt(normalizedPos.x, normalizedPos.y);
+        }
+        if (target.startsWith('group:')) {
+            const group = target.slice('group:'.length);
+            const indices = [];
+            this.renderer.getRegions().forEach((region, index) => {
+                if (region.group === group) indices.push(index);
+            });
+            return indices;
+        }
+        return null;
+    }
+
+    /**
+     * ジェスチャーの設定を作る（保存された設定があれば初期値に上書き）
+     * @param {Object} saved - 保存されていた設定
+     * @returns {Object}
+     */
+    createGestureSettings(saved = null) {
+        const settings = {};
+        for (const [gesture, defaults] of Object.entries(MotionSensor.DEFAULT_GESTURES)) {
+            settings[gesture] = { ...defaults, ...(saved && saved[gesture]) };
+        }
+        return settings;
+    }
+
+    /**
+     * ジェスチャーの設定を設定欄に反映（対象の候補には今あるグループを並べる）
+     */
+    updateGestureControls() {
+        const groups = new Set(this.renderer.getRegions().map(region => region.group).filter(Boolean));
+
+        for (const [gesture, control] of Object.entries(this.gestureControls)) {
+            const setting = this.gestureSettings[gesture];
+
+            const targets = [['all', 'すべての領域'], ['touched', '触れた領域']];
+            for (const group of groups) {
+                targets.push([`group:${group}`, `グループ: ${group}`]);
+            }
+            // 今はないグループを選んでいても設定は残す
+            if (!targets.some(([value]) => value === setting.target)) {
+                targets.push([setting.target, `グループ: ${setting.target.slice('group:'.length)}`]);
+            }
+
+            control.target.innerHTML = '';
+            for (const [value, label] of targets) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                control.target.appendChild(option);
+            }
+
+            control.direction.value = setting.direction;
+            control.target.value = setting.target;
+            control.range.value = setting.magnitude;
+            control.value.textContent = setting.magnitude.toFixed(1);
         }
     }
 
     animate() {
         if (!this.isAnimating) return;
 
-        const displacements = this.physics.update({ x: 0, y: 0 });
+        // 物理は固定タイムステップで進め、描画はステップ間を補間
+        const now = performance.now();
+        const elapsed = this.lastFrameTime !== null ? now - this.lastFrameTime : 0;
+        this.lastFrameTime = now;
+
+        const displacements = this.physics.advance(elapsed);
         this.renderer.render(displacements);
 
         this.animationId = requestAnimationFrame(this.boundAnimate);
@@ -646,6 +2376,7 @@ class App {
         if (patternId === '') {
             // OFFの場合
             this.motionSensor.setAutoEnabled(false);
+            this.physics.setAutoForce(null);
         } else {
             // パターンがある場合
             this.motionSensor.setAutoEnabled(true);
@@ -690,6 +2421,28 @@ class App {
         }
     }
 
+    /**
+     * 影響度のヒートマップ表示を切り替え（編集中のボタンと設定画面のボタンの両方を更新）
+     */
+    toggleInfluenceDisplay() {
+        this.renderer.toggleInfluenceDisplay();
+        this.updateInfluenceButtons();
+
+        if (!this.isAnimating) {
+            this.renderer.render(null);
+        }
+    }
+
+    /**
+     * 影響度表示のボタンの状態を更新
+     */
+    updateInfluenceButtons() {
+        const isShowing = this.renderer.isShowingInfluence();
+        this.toggleInfluenceBtn.textContent = isShowing ? 'ON' : 'OFF';
+        this.toggleInfluenceBtn.classList.toggle('active', isShowing);
+        this.influenceBtn.classList.toggle('active', isShowing);
+    }
+
     toggleUI() {
         this.isUIVisible = !this.isUIVisible;
         if (this.isUIVisible) {
@@ -720,6 +2473,7 @@ class App {
             // センサーを無効化
             this.sensorEnabled = false;
             this.motionSensor.setSensorEnabled(false);
+            this.physics.setGravityForce({ x: 0, y: 0 });
             this.sensorBtn.textContent = '加速度センサ:OFF';
             this.sensorBtn.classList.remove('active');
         }
@@ -739,10 +2493,15 @@ class App {
 
         this.physics.reset();
         this.physics.clearRegions();
+        this.physics.clearFixedRegions();
         this.renderer.clearRegions();
+        this.renderer.clearFixedRegions();
         this.renderer.clearImage();
         this.currentImageData = null;
 
+        this.deselectRegion();
+        this.clearHistory();
+
         // UI表示状態をリセット
         this.isUIVisible = true;
         this.controls.classList.remove('hidden');
@@ -788,7 +2547,7 @@ class App {
                 <div class="preset-item" data-id="${preset.id}">
                     <div class="preset-info">
                         <div class="preset-name">${this.escapeHtml(preset.name)}</div>
-                        <div class="preset-meta">領域: ${preset.regionCount}個 / ${date}</div>
+                        <div class="preset-meta">領域: ${preset.regionCount}個${preset.fixedRegionCount > 0 ? ` / 固定: ${preset.fixedRegionCount}個` : ''} / ${date}</div>
                     </div>
                     <button class="preset-delete" data-id="${preset.id}">削除</button>
                 </div>
@@ -876,9 +2635,12 @@ class App {
                 name: name,
                 imageData: this.currentImageData,
                 regions: regions,
+                fixedRegions: this.renderer.getFixedRegions(),
                 physicsParams: this.physics.getPhysicsParams(),
                 autoStrength: this.motionSensor ? this.motionSensor.getAutoStrength() : 1.0,
-                gridDensity: this.physics.getGridDensity()
+                gridDensity: this.physics.getGridDensity(),
+                gestures: this.gestureSettings,
+                sensorSettings: this.sensorSettings
             });
 
             this.closeSaveModal();
@@ -912,9 +2674,13 @@ class App {
                     this.motionSensor = null;
                 }
             }
+            this.deselectRegion();
             this.physics.reset();
             this.physics.clearRegions();
+            this.physics.clearFixedRegions();
             this.renderer.clearRegions();
+            this.renderer.clearFixedRegions();
+            this.clearHistory();
 
             // 画像を読み込む
             await this.loadImageFromBase64(preset.imageData);
@@ -925,6 +2691,12 @@ class App {
                 this.physics.addRegion(region);
             }
 
+            // 固定領域を復元
+            for (const region of preset.fixedRegions || []) {
+                this.renderer.addFixedRegion(region);
+                this.physics.addFixedRegion(region);
+            }
+
             // 物理パラメータを復元（保存されている場合）
             if (preset.physicsParams) {
                 this.physics.setPhysicsParams(preset.physicsParams);
@@ -938,6 +2710,12 @@ class App {
             // 自動強さを復元（アニメーション開始時にmotionSensorに設定）
             this.savedAutoStrength = preset.autoStrength || 1.0;
 
+            // ジェスチャーの衝撃を復元（保存されていなければ初期値）
+            this.gestureSettings = this.createGestureSettings(preset.gestures);
+
+            // センサー入力の設定を復元（保存されていなければ初期値）
+            this.sensorSettings = { ...MotionSensor.DEFAULT_SENSOR_SETTINGS, ...preset.sensorSettings };
+
             this.closePresetModal();
             this.renderer.render(null);
             this.setMode('confirm');
@@ -983,6 +2761,7 @@ class App {
         } else {
             this.toggleMeshBtn.classList.remove('active');
         }
+        this.updateInfluenceButtons();
 
         // 自動強さ
         const autoStrength = this.motionSensor ? this.motionSensor.getAutoStrength() : 1.0;
@@ -996,6 +2775,7 @@ class App {
 
         // 物理パラメータをスライダーに反映
         const params = this.physics.getPhysicsParams();
+        this.simulationModeSelect.value = params.simulationMode;
         this.stiffnessRange.value = params.baseStiffness;
         this.dampingRange.value = params.baseDamping;
         this.sensitivityRange.value = params.sensitivity;
@@ -1006,8 +2786,12 @@ class App {
         this.stiffnessValue.textContent = params.baseStiffness.toFixed(2);
         this.dampingValue.textContent = params.baseDamping.toFixed(2);
         this.sensitivityValue.textContent = params.sensitivity.toFixed(1);
-        this.posThresholdValue.textContent = params.posThreshold.toFixed(1);
-        this.velThresholdValue.textContent = params.velThreshold.toFixed(2);
+        this.posThresholdValue.textContent = params.posThreshold.toFixed(2);
+        this.velThresholdValue.textContent = params.velThreshold.toFixed(3);
+        this.seedValue.textContent = params.seed;
+        this.updatePressControls();
+        this.updateSensorControls();
+        this.updateGestureControls();
 
         this.settingsModal.classList.remove('hidden');
     }
@@ -1019,6 +2803,19 @@ class App {
         this.settingsModal.classList.add('hidden');
     }
 
+    /**
+     * シードを新しくして揺れ方のばらつきを変える
+     */
+    rerollSeed() {
+        this.physics.setSeed(PhysicsEngine.generateSeed());
+        this.seedValue.textContent = this.physics.getSeed();
+
+        // 編集中の領域の自動設定値も変わる
+        if (this.selectedRegionIndex >= 0) {
+            this.updateRegionParamControls();
+        }
+    }
+
     /**
      * 設定をデフォルトに戻す
      */
@@ -1040,6 +2837,7 @@ class App {
 
         // スライダーと表示値を更新
         const params = this.physics.getPhysicsParams();
+        this.simulationModeSelect.value = params.simulationMode;
         this.stiffnessRange.value = params.baseStiffness;
         this.dampingRange.value = params.baseDamping;
         this.sensitivityRange.value = params.sensitivity;
@@ -1049,8 +2847,41 @@ class App {
         this.stiffnessValue.textContent = params.baseStiffness.toFixed(2);
         this.dampingValue.textContent = params.baseDamping.toFixed(2);
         this.sensitivityValue.textContent = params.sensitivity.toFixed(1);
-        this.posThresholdValue.textContent = params.posThreshold.toFixed(1);
-        this.velThresholdValue.textContent = params.velThreshold.toFixed(2);
+        this.posThresholdValue.textContent = params.posThreshold.toFixed(2);
+        this.velThresholdValue.textContent = params.velThreshold.toFixed(3);
+        this.updatePressControls();
+
+        // センサー入力をデフォルトに
+        this.sensorSettings = { ...MotionSensor.DEFAULT_SENSOR_SETTINGS };
+        if (this.motionSensor) {
+            this.motionSensor.setSensorSettings(this.sensorSettings);
+        }
+        this.updateSensorControls();
+
+        // ジェスチャーをデフォルトに
+        this.gestureSettings = this.createGestureSettings();
+        this.updateGestureControls();
+    }
+
+    /**
+     * 押し込みの設定をスライダーに反映
+     */
+    updatePressControls() {
+        const press = this.physics.getPhysicsParams().press;
+        for (const [key, control] of Object.entries(this.pressParamControls)) {
+            control.range.value = press[key];
+            control.value.textContent = press[key].toFixed(control.digits);
+        }
+    }
+
+    /**
+     * センサー入力の設定をスライダーに反映
+     */
+    updateSensorControls() {
+        for (const [key, control] of Object.entries(this.sensorControls)) {
+            control.range.value = this.sensorSettings[key];
+            control.value.textContent = this.sensorSettings[key].toFixed(control.digits);
+        }
     }
 }
 
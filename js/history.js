@@ -0,0 +1,65 @@
+/**
+ * 領域編集の履歴（元に戻す/やり直し）
+ * 編集前の状態のスナップショットを積んでおき、戻すときに丸ごと差し替える
+ */
+class EditHistory {
+    // 保持する履歴の最大数（マスクを含むと1件が大きいため上限を設ける）
+    static MAX_ENTRIES = 50;
+
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 編集前の状態を記録（やり直しの履歴は破棄）
+     * @param {Object} state - 編集前の状態
+     */
+    push(state) {
+        this.undoStack.push(state);
+        if (this.undoStack.length > EditHistory.MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * 1つ前の状態を取り出す
+     * @param {Object} current - 現在の状態（やり直し用に保存）
+     * @returns {Object|null} - 戻す先の状態、なければnull
+     */
+    undo(current) {
+        if (this.undoStack.length === 0) return null;
+
+        this.redoStack.push(current);
+        return this.undoStack.pop();
+    }
+
+    /**
+     * 元に戻した状態をやり直す
+     * @param {Object} current - 現在の状態（元に戻す用に保存）
+     * @returns {Object|null} - やり直し先の状態、なければnull
+     */
+    redo(current) {
+        if (this.redoStack.length === 0) return null;
+
+        this.undoStack.push(current);
+        return this.redoStack.pop();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 履歴をすべて破棄
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
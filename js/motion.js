@@ -3,17 +3,77 @@
  * 加速度センサー、タップ、マウス移動を統一的に扱う
  */
 class MotionSensor {
+    // 接触面の大きさ（CSSピクセル）がこれ以上なら最大の深さで押す（圧力が取れないタッチ端末用）
+    static FULL_PRESS_CONTACT_SIZE = 40;
+
+    // 押し込みの強さの下限（軽く触れただけでも少しへこむ）
+    static MIN_PRESSURE = 0.2;
+
+    // ジェスチャーの判定
+    static TAP_SLOP = 10; // これ以上動いたらタップ・長押しではない（CSSピクセル）
+    static TAP_TIME = 250; // これより長く押したらタップではない（ミリ秒）
+    static DOUBLE_TAP_TIME = 300; // 続けてタップしたとみなす間隔（ミリ秒）
+    static DOUBLE_TAP_SLOP = 30; // 続けてタップしたとみなす距離（CSSピクセル）
+    static LONG_PRESS_TIME = 500; // 長押しとみなす時間（ミリ秒）
+    static FLICK_SPEED = 0.5; // 離す直前の速さがこれ以上ならフリック（CSSピクセル/ミリ秒）
+    static FLICK_WINDOW = 100; // フリックの速さを測る時間（ミリ秒）
+
+    // センサー入力の設定の初期値
+    // gainX / gainY: 加速度・ジャイロの揺れの横・縦の倍率, gyro: 回転の速さ（ジャイロ）の強さ
+    // sag: 傾けたときに下に垂れる強さ
+    // lowPass: なめらかさ（0で加工なし、大きいほど細かい揺れを抑える）
+    // highPass: ゆっくりした動きを消す強さ（0で加工なし、大きいほど長く続く動きだけを残す）
+    static DEFAULT_SENSOR_SETTINGS = { gainX: 1.0, gainY: 1.0, gyro: 1.0, sag: 1.0, lowPass: 0.5, highPass: 0 };
+
+    // 加速度の変化量（m/s²）・回転の速さ（度/秒）・傾き（sin）を力（基準サイズの画像でのピクセル）に換算する係数
+    static ACCELERATION_FORCE = 0.5;
+    static GYRO_FORCE = 0.01;
+    static SAG_FORCE = 1.0;
+
+    // 衝撃の向き（画面上の単位ベクトル）
+    static GESTURE_DIRECTIONS = {
+        up: { x: 0, y: -1 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 },
+        right: { x: 1, y: 0 }
+    };
+
+    // ジェスチャーごとの衝撃の初期値
+    // direction: 'up' | 'down' | 'left' | 'right' | 'flick'（はじいた向き）
+    // magnitude: 衝撃の強さ（基準サイズの画像でのピクセル、0で無効）
+    // target: 'all'（すべての領域）| 'touched'（触れた場所の領域）| 'group:名前'（そのグループの領域）
+    static DEFAULT_GESTURES = {
+        tap: { direction: 'up', magnitude: 1.0, target: 'touched' },
+        doubleTap: { direction: 'up', magnitude: 2.0, target: 'all' },
+        longPress: { direction: 'down', magnitude: 1.0, target: 'touched' },
+        flick: { direction: 'flick', magnitude: 1.5, target: 'all' }
+    };
+
     constructor(callback) {
         this.callback = callback;
         this.isRunning = false;
-        this.lastAcceleration = { x: 0, y: 0 };
+        this.lastAcceleration = null;
+
+        // 画面の回転角度（度、0 / 90 / 180 / 270）
+        this.screenAngle = this.getScreenAngle();
+
+        // センサー入力の設定
+        this.sensorSettings = { ...MotionSensor.DEFAULT_SENSOR_SETTINGS };
+
+        // フィルタの状態（なめらかにした値と、ゆっくりした動きの基準）
+        this.filteredMotion = { x: 0, y: 0 };
+        this.motionBaseline = { x: 0, y: 0 };
+        this.filteredSag = { x: 0, y: 0 };
+
+        // 端末の傾き（画面上の下向き、画面の回転前）と、静止姿勢として記録した傾き
+        this.tilt = null;
+        this.restTilt = null;
 
-        // デバイスの向きを考慮
-        this.orientation = window.orientation || 0;
+        // 追跡中のポインタ（pointerId -> { x, y, pressed, kind（'press' | 'grab' | null）, gesture }）。指・ペンごとに前回位置を持つ
+        this.pointers = new Map();
 
-        // マウス/タッチの前回位置
-        this.lastMousePosition = null;
-        this.mouseVelocity = { x: 0, y: 0 };
+        // ダブルタップ待ちのタップ（{ x, y, timer }）
+        this.pendingTap = null;
 
         // 自動揺れ用タイマー
         this.autoSwayInterval = null;
@@ -24,7 +84,7 @@ class MotionSensor {
         this.manualEnabled = true;
         this.sensorEnabled = false;
 
-        // 手動モード: 'global'（全体揺れ）, 'pointer'（ポインタ位置基準）, 'press'（押し込み）
+        // 手動モード: 'global'（全体揺れ）, 'pointer'（ポインタ位置基準）, 'press'（押し込み）, 'grab'（つかんで投げる）
         this.manualMode = 'global';
 
         // 自動揺れパターン
@@ -45,13 +105,11 @@ class MotionSensor {
 
         // イベントハンドラを事前バインド（removeEventListenerで正しく削除するため）
         this.boundHandleDeviceMotion = this.handleDeviceMotion.bind(this);
+        this.boundHandleDeviceOrientation = this.handleDeviceOrientation.bind(this);
         this.boundHandleOrientationChange = this.handleOrientationChange.bind(this);
-        this.boundHandleMouseMove = this.handleMouseMove.bind(this);
-        this.boundHandleMouseDown = this.handleMouseDown.bind(this);
-        this.boundHandleMouseUp = this.handleMouseUp.bind(this);
-        this.boundHandleTouchStart = this.handleTouchStart.bind(this);
-        this.boundHandleTouchMove = this.handleTouchMove.bind(this);
-        this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
+        this.boundHandlePointerDown = this.handlePointerDown.bind(this);
+        this.boundHandlePointerMove = this.handlePointerMove.bind(this);
+        this.boundHandlePointerUp = this.handlePointerUp.bind(this);
     }
 
     /**
@@ -59,25 +117,27 @@ class MotionSensor {
      * @returns {Promise<boolean>} - 許可が得られたかどうか
      */
     async requestPermission() {
-        console.log('requestPermission called');
-        console.log('DeviceMotionEvent exists:', typeof DeviceMotionEvent !== 'undefined');
-        console.log('requestPermission exists:', typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function');
-
-        // iOSのDeviceMotionEvent許可チェック
+        // iOSでは加速度（ジャイロ含む）と傾きを別々に許可する
+        const requests = [];
         if (typeof DeviceMotionEvent !== 'undefined' &&
             typeof DeviceMotionEvent.requestPermission === 'function') {
-            try {
-                const permission = await DeviceMotionEvent.requestPermission();
-                console.log('Permission result:', permission);
-                return permission === 'granted';
-            } catch (error) {
-                console.warn('加速度センサーの許可取得に失敗:', error);
-                return false;
-            }
+            requests.push(DeviceMotionEvent.requestPermission());
+        }
+        if (typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            requests.push(DeviceOrientationEvent.requestPermission());
         }
         // Android等では許可不要
-        console.log('No permission required (Android/PC)');
-        return true;
+        if (requests.length === 0) return true;
+
+        try {
+            const results = await Promise.all(requests);
+            // 傾きを拒否されると垂れる動きが黙って効かなくなるので、すべて許可されたときだけ使う
+            return results.every(result => result === 'granted');
+        } catch (error) {
+            console.warn('加速度センサーの許可取得に失敗:', error);
+            return false;
+        }
     }
 
     /**
@@ -95,26 +155,22 @@ class MotionSensor {
         if (this.isRunning) return;
         this.isRunning = true;
 
-        console.log('MotionSensor start()');
-        console.log('Accelerometer available:', this.isAccelerometerAvailable());
-
-        // 加速度センサーのイベントリスナー
+        // 加速度センサー・ジャイロ・傾きのイベントリスナー
         if (this.isAccelerometerAvailable()) {
-            console.log('Adding devicemotion listener');
             window.addEventListener('devicemotion', this.boundHandleDeviceMotion);
-            window.addEventListener('orientationchange', this.boundHandleOrientationChange);
+        }
+        if (typeof DeviceOrientationEvent !== 'undefined') {
+            window.addEventListener('deviceorientation', this.boundHandleDeviceOrientation);
+        }
+        if (window.screen && window.screen.orientation) {
+            window.screen.orientation.addEventListener('change', this.boundHandleOrientationChange);
         }
 
-        // マウス操作（PC用）
-        window.addEventListener('mousemove', this.boundHandleMouseMove);
-        window.addEventListener('mousedown', this.boundHandleMouseDown);
-        window.addEventListener('mouseup', this.boundHandleMouseUp);
-
-        // タッチ操作
-        window.addEventListener('touchstart', this.boundHandleTouchStart);
-        window.addEventListener('touchmove', this.boundHandleTouchMove);
-        window.addEventListener('touchend', this.boundHandleTouchEnd);
-        window.addEventListener('touchcancel', this.boundHandleTouchEnd);
+        // マウス・タッチ・ペン操作
+        window.addEventListener('pointerdown', this.boundHandlePointerDown);
+        window.addEventListener('pointermove', this.boundHandlePointerMove);
+        window.addEventListener('pointerup', this.boundHandlePointerUp);
+        window.addEventListener('pointercancel', this.boundHandlePointerUp);
 
         // 自動揺れを開始
         this.startAutoSway();
@@ -258,7 +314,7 @@ class MotionSensor {
 
     /**
      * 手動モードを設定
-     * @param {string} mode - 'global', 'pointer', 'press'
+     * @param {string} mode - 'global', 'pointer', 'press', 'grab'
      */
     setManualMode(mode) {
         this.manualMode = mode;
@@ -270,6 +326,9 @@ class MotionSensor {
      */
     setSensorEnabled(enabled) {
         this.sensorEnabled = enabled;
+
+        // 無効の間に持ち方が変わっていても、有効にしたときの向きを静止姿勢にする
+        if (enabled) this.calibrate();
     }
 
     /**
@@ -344,14 +403,19 @@ class MotionSensor {
         this.stopAutoSway();
 
         window.removeEventListener('devicemotion', this.boundHandleDeviceMotion);
-        window.removeEventListener('orientationchange', this.boundHandleOrientationChange);
-        window.removeEventListener('mousemove', this.boundHandleMouseMove);
-        window.removeEventListener('mousedown', this.boundHandleMouseDown);
-        window.removeEventListener('mouseup', this.boundHandleMouseUp);
-        window.removeEventListener('touchstart', this.boundHandleTouchStart);
-        window.removeEventListener('touchmove', this.boundHandleTouchMove);
-        window.removeEventListener('touchend', this.boundHandleTouchEnd);
-        window.removeEventListener('touchcancel', this.boundHandleTouchEnd);
+        window.removeEventListener('deviceorientation', this.boundHandleDeviceOrientation);
+        if (window.screen && window.screen.orientation) {
+            window.screen.orientation.removeEventListener('change', this.boundHandleOrientationChange);
+        }
+        window.removeEventListener('pointerdown', this.boundHandlePointerDown);
+        window.removeEventListener('pointermove', this.boundHandlePointerMove);
+        window.removeEventListener('pointerup', this.boundHandlePointerUp);
+        window.removeEventListener('pointercancel', this.boundHandlePointerUp);
+        for (const pointer of this.pointers.values()) {
+            if (pointer.gesture) clearTimeout(pointer.gesture.longPressTimer);
+        }
+        this.pointers.clear();
+        this.clearPendingTap();
     }
 
     /**
@@ -361,211 +425,436 @@ class MotionSensor {
     handleDeviceMotion(event) {
         if (!this.isRunning || !this.sensorEnabled) return;
 
+        const settings = this.sensorSettings;
+        let x = 0;
+        let y = 0;
+
+        // 重力成分を含む加速度の変化量（端末を動かした瞬間だけ揺れる）
         const acc = event.accelerationIncludingGravity;
-        if (!acc) {
-            console.log('No acceleration data');
-            return;
+        if (acc && acc.x !== null && acc.y !== null) {
+            // 端末のy軸は上向きなので下向きにそろえる
+            const current = this.rotateToScreen(acc.x, -acc.y);
+            if (this.lastAcceleration) {
+                x += (current.x - this.lastAcceleration.x) * MotionSensor.ACCELERATION_FORCE;
+                y += (current.y - this.lastAcceleration.y) * MotionSensor.ACCELERATION_FORCE;
+            }
+            this.lastAcceleration = current;
         }
-        console.log('Acceleration:', acc.x, acc.y, acc.z);
 
-        // デバイスの向きに応じて軸を調整
-        let x = acc.x || 0;
-        let y = acc.y || 0;
-
-        // 画面の向きに応じて補正
-        switch (this.orientation) {
-            case 90:
-                [x, y] = [-y, x];
-                break;
-            case -90:
-                [x, y] = [y, -x];
-                break;
-            case 180:
-                [x, y] = [-x, -y];
-                break;
+        // 回転の速さ（左右にひねると横、前後に倒すと縦に揺れる）
+        const rate = event.rotationRate;
+        if (rate && settings.gyro > 0) {
+            const rotated = this.rotateToScreen(rate.gamma || 0, rate.beta || 0);
+            x += rotated.x * MotionSensor.GYRO_FORCE * settings.gyro;
+            y += rotated.y * MotionSensor.GYRO_FORCE * settings.gyro;
         }
 
-        // 重力成分を考慮した加速度変化を検出
-        const deltaX = x - this.lastAcceleration.x;
-        const deltaY = y - this.lastAcceleration.y;
-
-        this.lastAcceleration = { x, y };
+        const filtered = this.filterMotion(x, y);
 
-        // コールバックで通知（変化量を使用）
+        // コールバックで通知
         this.callback({
             type: 'accelerometer',
-            force: { x: deltaX * 0.5, y: deltaY * 0.5 }
+            force: { x: filtered.x * settings.gainX, y: filtered.y * settings.gainY }
+        });
+    }
+
+    /**
+     * 揺れの入力になめらかさ（ローパス）と、ゆっくりした動きを消すフィルタ（ハイパス）をかける
+     * @returns {Object} - { x, y }
+     */
+    filterMotion(x, y) {
+        const { lowPass, highPass } = this.sensorSettings;
+
+        this.filteredMotion.x += (x - this.filteredMotion.x) * (1 - lowPass);
+        this.filteredMotion.y += (y - this.filteredMotion.y) * (1 - lowPass);
+        if (highPass <= 0) return { ...this.filteredMotion };
+
+        this.motionBaseline.x += (this.filteredMotion.x - this.motionBaseline.x) * (1 - highPass);
+        this.motionBaseline.y += (this.filteredMotion.y - this.motionBaseline.y) * (1 - highPass);
+        return {
+            x: this.filteredMotion.x - this.motionBaseline.x,
+            y: this.filteredMotion.y - this.motionBaseline.y
+        };
+    }
+
+    /**
+     * 端末の傾きの処理（静止姿勢から傾けた向きに垂れる力を通知）
+     * @param {DeviceOrientationEvent} event
+     */
+    handleDeviceOrientation(event) {
+        if (event.beta === null || event.gamma === null) return;
+
+        // 画面上の下向き（端末を立てると下、右を下げると右）
+        const beta = event.beta * Math.PI / 180;
+        const gamma = event.gamma * Math.PI / 180;
+        this.tilt = { x: Math.sin(gamma) * Math.cos(beta), y: Math.sin(beta) };
+
+        if (!this.isRunning || !this.sensorEnabled) return;
+
+        // 最初の傾きを静止姿勢にする（あとから calibrate で記録し直せる）
+        if (!this.restTilt) this.restTilt = { ...this.tilt };
+
+        const sag = this.rotateToScreen(this.tilt.x - this.restTilt.x, this.tilt.y - this.restTilt.y);
+        const lowPass = this.sensorSettings.lowPass;
+        this.filteredSag.x += (sag.x - this.filteredSag.x) * (1 - lowPass);
+        this.filteredSag.y += (sag.y - this.filteredSag.y) * (1 - lowPass);
+
+        const strength = this.sensorSettings.sag * MotionSensor.SAG_FORCE;
+        this.callback({
+            type: 'gravity',
+            force: { x: this.filteredSag.x * strength, y: this.filteredSag.y * strength }
         });
     }
 
+    /**
+     * 今の姿勢を静止姿勢として記録（フィルタの状態もリセット）
+     */
+    calibrate() {
+        this.restTilt = this.tilt ? { ...this.tilt } : null;
+        this.lastAcceleration = null;
+        this.filteredMotion = { x: 0, y: 0 };
+        this.motionBaseline = { x: 0, y: 0 };
+        this.filteredSag = { x: 0, y: 0 };
+        this.callback({ type: 'gravity', force: { x: 0, y: 0 } });
+    }
+
+    /**
+     * センサー入力の設定を変更（指定した項目だけ）
+     * @param {Object} settings - DEFAULT_SENSOR_SETTINGS の一部
+     */
+    setSensorSettings(settings) {
+        for (const key of Object.keys(MotionSensor.DEFAULT_SENSOR_SETTINGS)) {
+            if (settings[key] !== undefined) this.sensorSettings[key] = settings[key];
+        }
+    }
+
+    /**
+     * 画面の回転角度を取得
+     * @returns {number} - 0 / 90 / 180 / 270
+     */
+    getScreenAngle() {
+        if (window.screen && window.screen.orientation && typeof window.screen.orientation.angle === 'number') {
+            return window.screen.orientation.angle;
+        }
+        return 0;
+    }
+
+    /**
+     * 端末の向きのベクトル（x: 右、y: 下）を画面の向きに合わせて回す
+     * @returns {Object} - { x, y }
+     */
+    rotateToScreen(x, y) {
+        switch (this.screenAngle) {
+            case 90:
+                return { x: y, y: -x };
+            case 270:
+                return { x: -y, y: x };
+            case 180:
+                return { x: -x, y: -y };
+            default:
+                return { x, y };
+        }
+    }
+
     /**
      * 画面の向き変更時の処理
      */
     handleOrientationChange() {
-        this.orientation = window.orientation || 0;
+        this.screenAngle = this.getScreenAngle();
+        this.calibrate();
+    }
+
+    /**
+     * UIの上での操作か（ボタンなどの操作では揺らさない）
+     * @param {EventTarget} target
+     */
+    isUiTarget(target) {
+        return target.tagName === 'BUTTON' ||
+            target.tagName === 'LABEL' ||
+            target.tagName === 'SELECT' ||
+            target.tagName === 'INPUT';
+    }
+
+    /**
+     * 押し込みの強さ（0〜1）
+     * ペンは筆圧、タッチは圧力が取れる端末ならその値、取れなければ接触面の大きさで決める。マウスは常に最大
+     * @param {PointerEvent} event
+     * @returns {number}
+     */
+    getPointerPressure(event) {
+        if (event.pointerType === 'mouse') return 1;
+        if (event.pointerType === 'pen') return event.pressure > 0 ? event.pressure : 1;
+
+        // 圧力が取れない端末は押している間 0.5（または0）になる
+        if (event.pressure > 0 && event.pressure !== 0.5) return event.pressure;
+        if (event.width > 1 && event.height > 1) {
+            const size = Math.sqrt(event.width * event.height);
+            return Math.max(MotionSensor.MIN_PRESSURE, Math.min(1, size / MotionSensor.FULL_PRESS_CONTACT_SIZE));
+        }
+        return 1;
     }
 
     /**
-     * マウス移動の処理（PC用）
-     * @param {MouseEvent} event
+     * ペンの傾き（-1〜1、傾けた向きに押し出す。ペン以外は0）
+     * @param {PointerEvent} event
+     * @returns {Object} - { x, y }
      */
-    handleMouseMove(event) {
+    getPointerTilt(event) {
+        if (event.pointerType !== 'pen') return { x: 0, y: 0 };
+        return {
+            x: Math.sin((event.tiltX || 0) * Math.PI / 180),
+            y: Math.sin((event.tiltY || 0) * Math.PI / 180)
+        };
+    }
+
+    /**
+     * ポインタを押したときの処理（押し込み・つかみ開始）
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
         if (!this.isRunning || !this.manualEnabled) return;
 
-        const currentPosition = { x: event.clientX, y: event.clientY };
+        // UIボタン上での操作は無視
+        if (this.isUiTarget(event.target)) return;
 
-        if (this.lastMousePosition) {
-            const deltaX = currentPosition.x - this.lastMousePosition.x;
-            const deltaY = currentPosition.y - this.lastMousePosition.y;
+        // 画面外に出ても離すまで追えるようにする
+        if (event.target.setPointerCapture) {
+            event.target.setPointerCapture(event.pointerId);
+        }
+
+        const kind = this.manualMode === 'grab' ? 'grab' : 'press';
+        const pointer = { x: event.clientX, y: event.clientY, pressed: true, kind: kind, gesture: null };
+        this.pointers.set(event.pointerId, pointer);
+
+        // 押す・つかむでは押したまま止める・すぐ離すのが操作そのものなのでジェスチャーにしない
+        if (this.manualMode === 'global' || this.manualMode === 'pointer') {
+            this.startGesture(pointer, event);
+        }
+
+        // 押し込み開始（つかみモードではつかむ）
+        this.callback({
+            type: kind === 'grab' ? 'grabStart' : 'pressStart',
+            id: event.pointerId,
+            clientX: event.clientX,
+            clientY: event.clientY,
+            pressure: this.getPointerPressure(event),
+            tilt: this.getPointerTilt(event)
+        });
+    }
+
+    /**
+     * ポインタ移動の処理（指・ペンごとに追跡）
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.isRunning || !this.manualEnabled) return;
+
+        // マウスは押していなくても動かすだけで揺らす
+        let pointer = this.pointers.get(event.pointerId);
+        if (!pointer) {
+            if (event.pointerType !== 'mouse') return;
+            pointer = { x: event.clientX, y: event.clientY, pressed: false, kind: null, gesture: null };
+            this.pointers.set(event.pointerId, pointer);
+            return;
+        }
+
+        this.trackGesture(pointer, event);
+
+        if (this.manualMode === 'grab' || this.manualMode === 'press') {
+            // つかみ・押し込みモードは位置と押し込みの強さだけを追従させる
+            if (pointer.kind) {
+                this.callback({
+                    type: pointer.kind === 'grab' ? 'grabMove' : 'pressMove',
+                    id: event.pointerId,
+                    clientX: event.clientX,
+                    clientY: event.clientY,
+                    pressure: this.getPointerPressure(event),
+                    tilt: this.getPointerTilt(event)
+                });
+            }
+        } else {
+            const deltaX = event.clientX - pointer.x;
+            const deltaY = event.clientY - pointer.y;
 
             // 移動量をフィルタリング（小さすぎる動きは無視）
             if (Math.abs(deltaX) > 1 || Math.abs(deltaY) > 1) {
+                // タッチ・ペンはマウスより移動量が小さくなりがちなので強めにする
+                const scale = event.pointerType === 'mouse' ? 0.1 : 0.15;
+
                 if (this.manualMode === 'pointer') {
                     // ポインタ位置基準モード
                     this.callback({
                         type: 'pointerMove',
-                        force: { x: deltaX * 0.1, y: deltaY * 0.1 },
+                        force: { x: deltaX * scale, y: deltaY * scale },
                         clientX: event.clientX,
                         clientY: event.clientY
                     });
                 } else if (this.manualMode === 'global') {
                     // 全体揺れモード（従来動作）
                     this.callback({
-                        type: 'mouse',
-                        force: { x: deltaX * 0.1, y: deltaY * 0.1 }
+                        type: event.pointerType === 'mouse' ? 'mouse' : 'touch',
+                        force: { x: deltaX * scale, y: deltaY * scale }
                     });
                 }
             }
         }
 
-        this.lastMousePosition = currentPosition;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
     }
 
     /**
-     * マウスダウンの処理（押し込み開始）
-     * @param {MouseEvent} event
+     * ポインタを離したときの処理（押し込み終了・つかみを放す）
+     * @param {PointerEvent} event
      */
-    handleMouseDown(event) {
-        if (!this.isRunning || !this.manualEnabled) return;
-
-        // UIボタン上でのクリックは無視
-        if (event.target.tagName === 'BUTTON' ||
-            event.target.tagName === 'LABEL' ||
-            event.target.tagName === 'SELECT' ||
-            event.target.tagName === 'INPUT') {
-            return;
+    handlePointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        // マウスは離した後も動かすだけで揺らすので位置を残す
+        if (event.pointerType === 'mouse') {
+            pointer.pressed = false;
+        } else {
+            this.pointers.delete(event.pointerId);
         }
 
-        // 押し込み開始
+        this.endGesture(pointer, event);
+
+        // 押したときの種類で終わらせる（途中でモードや手動のON/OFFが変わっても押しっぱなしにしない）
+        if (!pointer.kind) return;
         this.callback({
-            type: 'pressStart',
-            id: 0, // マウスは常にID=0
-            clientX: event.clientX,
-            clientY: event.clientY
+            type: pointer.kind === 'grab' ? 'grabEnd' : 'pressEnd',
+            id: event.pointerId
         });
+        pointer.kind = null;
     }
 
     /**
-     * マウスアップの処理（押し込み終了）
-     * @param {MouseEvent} event
+     * ジェスチャーの判定を開始（押したとき）
+     * @param {Object} pointer - 追跡中のポインタ
+     * @param {PointerEvent} event
      */
-    handleMouseUp(event) {
-        if (!this.isRunning || !this.manualEnabled) return;
+    startGesture(pointer, event) {
+        const gesture = {
+            startX: event.clientX,
+            startY: event.clientY,
+            startTime: event.timeStamp,
+            moved: false,
+            longPressed: false,
+            samples: [{ x: event.clientX, y: event.clientY, time: event.timeStamp }],
+            longPressTimer: null
+        };
 
-        // 押し込み終了
-        this.callback({
-            type: 'pressEnd',
-            id: 0
-        });
+        // 動かさずに押し続けたら長押し
+        gesture.longPressTimer = setTimeout(() => {
+            gesture.longPressTimer = null;
+            if (gesture.moved || !this.isRunning || !this.manualEnabled) return;
+            gesture.longPressed = true;
+            this.emitGesture('longPress', gesture.startX, gesture.startY);
+        }, MotionSensor.LONG_PRESS_TIME);
+
+        pointer.gesture = gesture;
     }
 
     /**
-     * タッチ開始の処理（押し込み開始）
-     * @param {TouchEvent} event
+     * ジェスチャーの判定を更新（動かしたとき）
+     * @param {Object} pointer - 追跡中のポインタ
+     * @param {PointerEvent} event
      */
-    handleTouchStart(event) {
+    trackGesture(pointer, event) {
+        const gesture = pointer.gesture;
+        if (!gesture) return;
+
+        const dx = event.clientX - gesture.startX;
+        const dy = event.clientY - gesture.startY;
+        if (!gesture.moved && Math.hypot(dx, dy) > MotionSensor.TAP_SLOP) {
+            gesture.moved = true;
+            clearTimeout(gesture.longPressTimer);
+            gesture.longPressTimer = null;
+        }
+
+        // フリックの速さを測るため直近の位置だけを残す
+        gesture.samples.push({ x: event.clientX, y: event.clientY, time: event.timeStamp });
+        while (gesture.samples.length > 2 && event.timeStamp - gesture.samples[0].time > MotionSensor.FLICK_WINDOW) {
+            gesture.samples.shift();
+        }
+    }
+
+    /**
+     * ジェスチャーを判定して通知（離したとき）
+     * タップはダブルタップでないことが分かるまで少し待ってから通知する
+     * @param {Object} pointer - 追跡中のポインタ
+     * @param {PointerEvent} event
+     */
+    endGesture(pointer, event) {
+        const gesture = pointer.gesture;
+        pointer.gesture = null;
+        if (!gesture) return;
+
+        clearTimeout(gesture.longPressTimer);
+        if (event.type === 'pointercancel' || gesture.longPressed) return;
         if (!this.isRunning || !this.manualEnabled) return;
 
-        // UIボタン上でのタッチは無視
-        if (event.target.tagName === 'BUTTON' ||
-            event.target.tagName === 'LABEL' ||
-            event.target.tagName === 'SELECT' ||
-            event.target.tagName === 'INPUT') {
+        if (gesture.moved) {
+            const first = gesture.samples[0];
+            const duration = event.timeStamp - first.time;
+            const dx = event.clientX - first.x;
+            const dy = event.clientY - first.y;
+            const distance = Math.hypot(dx, dy);
+            if (duration > 0 && distance / duration >= MotionSensor.FLICK_SPEED) {
+                this.emitGesture('flick', event.clientX, event.clientY, { x: dx / distance, y: dy / distance });
+            }
             return;
         }
 
-        // 各タッチポイントに対して押し込み開始
-        for (const touch of event.changedTouches) {
-            this.callback({
-                type: 'pressStart',
-                id: touch.identifier,
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
+        if (event.timeStamp - gesture.startTime > MotionSensor.TAP_TIME) return;
+
+        const pending = this.pendingTap;
+        if (pending && Math.hypot(event.clientX - pending.x, event.clientY - pending.y) <= MotionSensor.DOUBLE_TAP_SLOP) {
+            this.clearPendingTap();
+            this.emitGesture('doubleTap', event.clientX, event.clientY);
+            return;
         }
 
-        // タッチ位置を記録（移動用）
-        if (event.touches.length > 0) {
-            this.lastMousePosition = {
-                x: event.touches[0].clientX,
-                y: event.touches[0].clientY
-            };
+        // 離れた場所のタップは別のタップとして先に通知する
+        if (pending) {
+            this.clearPendingTap();
+            this.emitGesture('tap', pending.x, pending.y);
         }
+
+        const tap = { x: event.clientX, y: event.clientY, timer: null };
+        tap.timer = setTimeout(() => {
+            this.pendingTap = null;
+            if (this.isRunning && this.manualEnabled) this.emitGesture('tap', tap.x, tap.y);
+        }, MotionSensor.DOUBLE_TAP_TIME);
+        this.pendingTap = tap;
     }
 
     /**
-     * タッチ終了の処理（押し込み終了）
-     * @param {TouchEvent} event
+     * ダブルタップ待ちのタップを取り消す
      */
-    handleTouchEnd(event) {
-        if (!this.isRunning || !this.manualEnabled) return;
-
-        // 各終了したタッチポイントに対して押し込み終了
-        for (const touch of event.changedTouches) {
-            this.callback({
-                type: 'pressEnd',
-                id: touch.identifier
-            });
+    clearPendingTap() {
+        if (this.pendingTap) {
+            clearTimeout(this.pendingTap.timer);
+            this.pendingTap = null;
         }
     }
 
     /**
-     * タッチ移動の処理
-     * @param {TouchEvent} event
+     * ジェスチャーを通知
+     * @param {string} gesture - 'tap' | 'doubleTap' | 'longPress' | 'flick'
+     * @param {number} clientX
+     * @param {number} clientY
+     * @param {Object} direction - フリックの向き（単位ベクトル、フリック以外は省略）
      */
-    handleTouchMove(event) {
-        if (!this.isRunning || !this.manualEnabled) return;
-        if (event.touches.length === 0) return;
-
-        const currentPosition = {
-            x: event.touches[0].clientX,
-            y: event.touches[0].clientY
-        };
-
-        if (this.lastMousePosition) {
-            const deltaX = currentPosition.x - this.lastMousePosition.x;
-            const deltaY = currentPosition.y - this.lastMousePosition.y;
-
-            if (Math.abs(deltaX) > 1 || Math.abs(deltaY) > 1) {
-                if (this.manualMode === 'pointer') {
-                    // ポインタ位置基準モード
-                    this.callback({
-                        type: 'pointerMove',
-                        force: { x: deltaX * 0.15, y: deltaY * 0.15 },
-                        clientX: event.touches[0].clientX,
-                        clientY: event.touches[0].clientY
-                    });
-                } else if (this.manualMode === 'global') {
-                    // 全体揺れモード（従来動作）
-                    this.callback({
-                        type: 'touch',
-                        force: { x: deltaX * 0.15, y: deltaY * 0.15 }
-                    });
-                }
-            }
-        }
-
-        this.lastMousePosition = currentPosition;
+    emitGesture(gesture, clientX, clientY, direction = null) {
+        this.callback({
+            type: 'gesture',
+            gesture: gesture,
+            clientX: clientX,
+            clientY: clientY,
+            direction: direction
+        });
     }
 
     /**
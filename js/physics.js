@@ -1,6 +1,8 @@
 /**
  * 物理シミュレーションエンジン
  * 各領域が独立して揺れる（異なる物理パラメータ）
+ *
+ * 変位の単位は「表示中の画像の短辺の1%」。画面上のピクセルへの変換はRendererが行う
  */
 class PhysicsEngine {
     // デフォルト値
@@ -8,8 +10,97 @@ class PhysicsEngine {
         baseStiffness: 0.08,
         baseDamping: 0.92,
         sensitivity: 4.0,
-        posThreshold: 0.3,
-        velThreshold: 0.05
+        posThreshold: 0.06,
+        velThreshold: 0.01
+    };
+
+    // ピクセル単位の値を変位の単位に換算するときの基準となる画像の短辺（px）
+    // 旧バージョンのプリセットや、画面サイズに依存しない入力（自動パターン・加速度センサー）の換算に使う
+    static REFERENCE_SIZE = 500;
+
+    // 物理ステップの間隔（ミリ秒）。表示のフレームレートや入力イベントの頻度に関係なく一定
+    static TIME_STEP = 1000 / 60;
+
+    // 1フレームで進める最大ステップ数
+    static MAX_STEPS_PER_FRAME = 5;
+
+    // 領域ごとに上書きできるパラメータ
+    static REGION_PARAM_KEYS = ['stiffness', 'damping', 'mass', 'sensitivity', 'delayFrames', 'maxDisplacement', 'rotationAmount', 'stretchAmount'];
+
+    // 揺れの計算方法
+    // 'region': 領域ごとに1つの重りを揺らし、影響度で頂点に広げる
+    // 'softbody': 頂点どうしをばねでつなぎ、領域は硬さ・質量の分布として使う（波打つ・ぷるぷるする）
+    static SIMULATION_MODES = ['region', 'softbody'];
+
+    // ソフトボディの隣の頂点とのばね（上下左右と斜め）。大きすぎると発散するので、8方向の合計を質量の下限より小さく保つ
+    static SOFT_BODY_STRUCTURAL = 0.15;
+    static SOFT_BODY_SHEAR = 0.05;
+
+    // ソフトボディでポインタ位置の力が届く半径（正規化座標）
+    static SOFT_BODY_POINTER_RADIUS = 0.08;
+
+    // 押し込みの設定
+    // radius: 影響半径（正規化座標）, depth: 最大の深さ（変位の単位）
+    // pressSpeed: 押すときに目標の深さへ近づく割合, releaseSpeed: 離すときに戻る割合（1ステップごと、0〜1）
+    // bounce: 離したときに領域を弾ませる強さの倍率
+    static DEFAULT_PRESS = { radius: 0.15, depth: 3, pressSpeed: 0.15, releaseSpeed: 0.08, bounce: 1.0 };
+
+    // 押し込みの設定の項目
+    static PRESS_PARAM_KEYS = ['radius', 'depth', 'pressSpeed', 'releaseSpeed', 'bounce'];
+
+    // 押し込みで外側に押し出す割合（横・縦）と、中心が凹む割合
+    static PRESS_PUSH_X = 0.5;
+    static PRESS_PUSH_Y = 0.3;
+    static PRESS_SINK = 0.3;
+
+    // ペンの傾きで押し出す割合
+    static PRESS_TILT = 0.4;
+
+    // つかんだ領域をポインタに引き寄せるばねの硬さ
+    static GRAB_STIFFNESS = 0.5;
+
+    // つかんだ領域の速さをポインタの速さに合わせる減衰（ポインタのまわりで振れ続けないようにする）
+    static GRAB_DAMPING = 0.5;
+
+    // つかんでいる間のポインタの速さのなめらかさ（0〜1、小さいほどなめらか）
+    static GRAB_VELOCITY_SMOOTHING = 0.5;
+
+    // 離したときにポインタの速さに掛ける倍率
+    static FLING_GAIN = 4;
+
+    // ソフトボディでつかんだ場所のまわりの引き寄せる範囲（正規化座標）と硬さ（隣のばねと合わせて発散しない大きさ）
+    static SOFT_BODY_GRAB_RADIUS = 0.1;
+    static SOFT_BODY_GRAB_STIFFNESS = 0.15;
+
+    // 力（変位の単位）を回転（ラジアン）・伸縮（縦の倍率の対数）に換算する係数
+    static ROTATION_PER_UNIT = 0.03;
+    static STRETCH_PER_UNIT = 0.02;
+
+    // 回転・伸縮の最大値（ラジアン、縦の倍率の対数）
+    static MAX_ROTATION = 0.35;
+    static MAX_STRETCH = 0.3;
+
+    // 自動パターンの力の領域ごとの変換（左右・上下反転、位相（度）、強さ）
+    // mirrorPatterns: 反転をかけるパターンIDの配列（nullはすべてのパターン）
+    static DEFAULT_FORCE_TRANSFORM = { mirrorX: false, mirrorY: false, mirrorPatterns: null, phase: 0, gain: 1 };
+
+    // もみもみのパターン（左右の領域で回転を逆にするのはこのパターンだけ）
+    static KNEAD_PATTERNS = ['kneadLeft', 'kneadRight'];
+
+    // 領域の影響の減衰（距離は中心0、輪郭1の正規化距離）
+    // inner: ここまでは減衰の形に応じた中心の強さ、outer: ここで影響が0になる
+    // curve: 'gaussian'（中心から徐々に弱まる）, 'smooth'（なめらか）, 'linear'（直線）, 'hard'（inner の外は0）
+    // bias: 影響を強める側 'up' | 'down' | 'left' | 'right' | 'none'
+    static DEFAULT_FALLOFF = { inner: 0.6, outer: 1.5, curve: 'gaussian', bias: 'up' };
+
+    // 領域どうしをつなぐばねの初期値（変位の差に対する硬さと、速度の差に対する減衰）
+    static DEFAULT_LINK = { stiffness: 0.05, damping: 0.05 };
+
+    // 減衰のプリセット
+    static FALLOFF_PRESETS = {
+        hard: { inner: 1.0, outer: 1.0, curve: 'hard', bias: 'none' },
+        soft: { inner: 0.4, outer: 1.3, curve: 'smooth', bias: 'none' },
+        linear: { inner: 0.2, outer: 1.0, curve: 'linear', bias: 'none' }
     };
 
     constructor() {
@@ -18,7 +109,9 @@ class PhysicsEngine {
         this.baseDamping = PhysicsEngine.DEFAULTS.baseDamping;
         this.mass = 1.0;
         this.sensitivity = PhysicsEngine.DEFAULTS.sensitivity;
-        this.maxDisplacement = 25;
+        this.maxDisplacement = 5;
+        this.rotationAmount = 1.0; // 回転の強さ
+        this.stretchAmount = 1.0; // 伸縮の強さ
 
         // 微小振動抑制の閾値
         this.posThreshold = PhysicsEngine.DEFAULTS.posThreshold;
@@ -37,21 +130,112 @@ class PhysicsEngine {
         // 各頂点の状態
         this.vertices = [];
 
+        // 揺れの計算方法（SIMULATION_MODES）
+        this.simulationMode = 'region';
+
         // 揺れ領域（複数対応）
         this.regions = [];
 
+        // 固定領域（この中の頂点は変形させない）
+        this.fixedRegions = [];
+        this.fixedFeather = 0.03; // 固定領域の外側で固定を緩めるぼかし幅（正規化座標）
+
         // 力の履歴（遅延適用用）
         this.forceHistory = [];
-        this.historyLength = 8; // 遅延フレーム数
+        this.historyLength = 8; // 遅延ステップ数
+
+        // 次の物理ステップまでに届いた入力
+        this.pendingForce = { x: 0, y: 0 };
+        this.pendingPositionalForces = []; // { x, y, posX, posY }
+        this.autoForce = null; // { x, y, patternId }
+        this.gravityForce = { x: 0, y: 0 }; // 端末の傾きで垂れる力（次に変更されるまでかかり続ける）
+
+        // 固定タイムステップの余り時間（ミリ秒）
+        this.accumulator = 0;
 
         // 押し込み状態（複数箇所対応）
         this.pressPoints = new Map(); // id -> { x, y, depth, targetDepth }
-        this.pressSpeed = 0.15; // 押し込み速度
-        this.releaseSpeed = 0.08; // 離す速度
+        this.press = { ...PhysicsEngine.DEFAULT_PRESS };
+
+        // つかんでいる箇所（複数対応）
+        this.grabPoints = new Map(); // id -> { x, y, targetX, targetY, regionIndex, start, displacement, velocity }
+
+        // 乱数のシード（同じシードなら同じ揺れ方になる）
+        this.seed = PhysicsEngine.generateSeed();
+        this.randomState = this.seed;
 
         this.initVertices();
     }
 
+    /**
+     * 基準サイズの画像でのピクセル値を変位の単位に換算
+     * @param {number} pixels - ピクセル値
+     * @returns {number}
+     */
+    static pixelsToUnits(pixels) {
+        return pixels * 100 / PhysicsEngine.REFERENCE_SIZE;
+    }
+
+    /**
+     * 新しいシードを生成
+     * @returns {number} - 32bit符号なし整数
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 状態から0〜1の乱数を計算（mulberry32）
+     * @param {number} state - 32bit符号なし整数
+     * @returns {number}
+     */
+    static mulberry32(state) {
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * シードを設定（領域ごとのばらつきも再計算）
+     * @param {number} seed - 32bit符号なし整数
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.resetRandom();
+        this.reindexRegions();
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * 乱数列をシードの先頭に戻す
+     */
+    resetRandom() {
+        this.randomState = this.seed;
+    }
+
+    /**
+     * シード付き乱数列から次の値を取得（衝撃などの実行時のばらつき用）
+     * @returns {number} - 0〜1
+     */
+    random() {
+        this.randomState = (this.randomState + 0x6D2B79F5) >>> 0;
+        return PhysicsEngine.mulberry32(this.randomState);
+    }
+
+    /**
+     * 領域インデックスに固有の乱数を取得（追加・削除の順番に依存しない）
+     * @param {number} index - 領域のインデックス
+     * @param {number} salt - 用途ごとの番号
+     * @returns {number} - 0〜1
+     */
+    regionRandom(index, salt) {
+        return PhysicsEngine.mulberry32((this.seed + Math.imul(index * 8 + salt + 1, 0x6D2B79F5)) >>> 0);
+    }
+
     /**
      * 画像のアスペクト比を設定
      * @param {number} width - 画像の幅
@@ -86,7 +270,12 @@ class PhysicsEngine {
                     baseX: x / this.gridSizeX,
                     baseY: y / this.gridSizeY,
                     dx: 0,
-                    dy: 0
+                    dy: 0,
+                    // ソフトボディの状態
+                    prevDx: 0,
+                    prevDy: 0,
+                    vx: 0,
+                    vy: 0
                 });
             }
         }
@@ -94,39 +283,128 @@ class PhysicsEngine {
 
     /**
      * 領域を追加（独立した物理パラメータを持つ）
+     * region.params に値があればランダムな値より優先する
      */
     addRegion(region) {
         const index = this.regions.length;
 
-        // 各領域で異なるパラメータを設定
-        const stiffnessVariation = 0.7 + Math.random() * 0.6; // 0.7〜1.3
-        const dampingVariation = 0.95 + Math.random() * 0.1;   // 0.95〜1.05
-        const delayFrames = index * 3 + Math.floor(Math.random() * 2); // 領域ごとに遅延
-
-        this.regions.push({
+        const physicsRegion = {
             ...region,
+            params: { ...region.params },
+            forceTransform: { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...region.forceTransform },
+            falloff: { ...PhysicsEngine.DEFAULT_FALLOFF, ...region.falloff },
+            links: (region.links || []).map(link => ({ ...link })),
             position: { x: 0, y: 0 },
+            prevPosition: { x: 0, y: 0 },
             velocity: { x: 0, y: 0 },
-            // 領域固有のパラメータ
-            stiffness: this.baseStiffness * stiffnessVariation,
-            damping: this.baseDamping * dampingVariation,
-            delayFrames: delayFrames,
+            // 中心まわりの回転（ラジアン）と、面積を保った伸縮（縦の倍率の対数、横は逆数）
+            rotation: 0,
+            prevRotation: 0,
+            rotationVelocity: 0,
+            stretch: 0,
+            prevStretch: 0,
+            stretchVelocity: 0,
             // 振動の位相オフセット
             phaseOffset: index * Math.PI * 0.3
-        });
+        };
+
+        // 各領域で異なるパラメータを設定（左右対の相方は元の領域にそろえる）
+        this.randomizeRegionParams(physicsRegion, index);
+        this.linkMirroredPair(physicsRegion);
+        this.resolveRegionParams(physicsRegion);
+
+        this.regions.push(physicsRegion);
+    }
+
+    /**
+     * 領域の上書きパラメータを実際の値に反映
+     * 上書きがない項目は全体の値（stiffness/damping/delayFramesは自動設定値）を使う
+     */
+    resolveRegionParams(region) {
+        const params = region.params;
+
+        if (params.stiffness !== undefined) region.stiffness = params.stiffness;
+        if (params.damping !== undefined) region.damping = params.damping;
+        if (params.delayFrames !== undefined) region.delayFrames = params.delayFrames;
+
+        region.mass = params.mass !== undefined ? params.mass : this.mass;
+        region.sensitivity = params.sensitivity !== undefined ? params.sensitivity : this.sensitivity;
+        region.maxDisplacement = params.maxDisplacement !== undefined ? params.maxDisplacement : this.maxDisplacement;
+        region.rotationAmount = params.rotationAmount !== undefined ? params.rotationAmount : this.rotationAmount;
+        region.stretchAmount = params.stretchAmount !== undefined ? params.stretchAmount : this.stretchAmount;
+    }
+
+    /**
+     * 領域の実際の物理パラメータを取得
+     * @param {number} index - 領域のインデックス
+     * @returns {Object|null} - { stiffness, damping, mass, sensitivity, delayFrames, maxDisplacement, rotationAmount, stretchAmount }
+     */
+    getRegionParams(index) {
+        const region = this.regions[index];
+        if (!region) return null;
+
+        const result = {};
+        for (const key of PhysicsEngine.REGION_PARAM_KEYS) {
+            result[key] = region[key];
+        }
+        return result;
+    }
+
+    /**
+     * 領域の上書きパラメータを設定
+     * @param {number} index - 領域のインデックス
+     * @param {Object} params - 上書きするパラメータ（空なら自動設定に戻す）
+     */
+    setRegionParams(index, params) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        const removed = Object.keys(region.params).some(key => params[key] === undefined);
+        region.params = { ...params };
+
+        if (removed) {
+            // 上書きを外した項目を自動設定値に戻す
+            this.randomizeRegionParams(region, index);
+            this.linkMirroredPair(region);
+        }
+        this.resolveRegionParams(region);
+    }
+
+    /**
+     * stiffness/damping/delayFrames を自動設定値にする（上書きは resolveRegionParams で反映）
+     * ばらつきはシードと領域インデックスから決まる
+     */
+    randomizeRegionParams(region, index) {
+        region.stiffnessVariation = 0.7 + this.regionRandom(index, 0) * 0.6; // 0.7〜1.3
+        region.dampingVariation = 0.95 + this.regionRandom(index, 1) * 0.1;  // 0.95〜1.05
+        region.delayFrames = index * 3 + Math.floor(this.regionRandom(index, 2) * 2); // 領域ごとに遅延
+        this.applyBaseParams(region);
+    }
+
+    /**
+     * 全体の硬さ・減衰にばらつきを掛けて領域に反映
+     */
+    applyBaseParams(region) {
+        region.stiffness = this.baseStiffness * region.stiffnessVariation;
+        region.damping = this.baseDamping * region.dampingVariation;
     }
 
     setRegions(regions) {
         this.regions = [];
         this.forceHistory = [];
+        this.resetRandom();
         for (const r of regions) {
             this.addRegion(r);
         }
+
+        // 相方が元の領域より前に並んでいると追加時には合わせられないので決め直す
+        this.reindexRegions();
     }
 
     clearRegions() {
         this.regions = [];
         this.forceHistory = [];
+        this.resetRandom();
     }
 
     /**
@@ -135,40 +413,438 @@ class PhysicsEngine {
      */
     removeRegion(index) {
         if (index >= 0 && index < this.regions.length) {
-            this.regions.splice(index, 1);
+            const [removed] = this.regions.splice(index, 1);
+
+            // 相方を失った領域は独立して揺れ、削除した領域へのばねも外す
+            for (const region of this.regions) {
+                if (region.mirrorOf !== undefined && region.mirrorOf === removed.id) {
+                    delete region.mirrorOf;
+                }
+                // 子は削除した領域の親につなぎ直す
+                if (region.parent !== undefined && region.parent === removed.id) {
+                    this.setRegionParent(this.regions.indexOf(region), removed.parent);
+                }
+                region.links = region.links.filter(link => link.target !== removed.id);
+            }
+            this.reindexRegions();
         }
     }
 
-    calculateRegionInfluence(px, py, region) {
+    /**
+     * 領域の順番を変更（揺れの状態と上書きパラメータは維持）
+     * @param {number} from - 移動する領域のインデックス
+     * @param {number} to - 移動先のインデックス
+     */
+    moveRegion(from, to) {
+        if (from < 0 || from >= this.regions.length || to < 0 || to >= this.regions.length) return;
+
+        const [region] = this.regions.splice(from, 1);
+        this.regions.splice(to, 0, region);
+        this.reindexRegions();
+    }
+
+    /**
+     * 順番で決まる遅延・位相・ばらつきを現在のインデックスで決め直す
+     */
+    reindexRegions() {
+        for (let i = 0; i < this.regions.length; i++) {
+            const region = this.regions[i];
+            region.phaseOffset = i * Math.PI * 0.3;
+            this.randomizeRegionParams(region, i);
+        }
+
+        // 相方が後ろに並んでいても元の領域の値がそろってから合わせる
+        for (const region of this.regions) {
+            this.linkMirroredPair(region);
+            this.resolveRegionParams(region);
+        }
+    }
+
+    /**
+     * 左右対の相方（mirrorOf に元の領域の id を持つ領域）の揺れ方を元の領域にそろえる
+     * 硬さ・減衰のばらつきと遅延を共有し、衝撃の回転は左右反転する
+     * @param {Object} region - 物理領域
+     */
+    linkMirroredPair(region) {
+        if (region.mirrorOf === undefined) return;
+
+        const source = this.regions.find(r => r !== region && r.id === region.mirrorOf);
+        if (!source) return;
+
+        region.stiffnessVariation = source.stiffnessVariation;
+        region.dampingVariation = source.dampingVariation;
+        region.delayFrames = source.delayFrames;
+        region.phaseOffset = -source.phaseOffset;
+        this.applyBaseParams(region);
+    }
+
+    /**
+     * 領域の自動パターンの力の変換を設定
+     * @param {number} index - 領域のインデックス
+     * @param {Object} transform - { mirrorX, mirrorY, mirrorPatterns, phase, gain }（省略した項目はデフォルト）
+     */
+    setRegionForceTransform(index, transform) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        region.forceTransform = { ...PhysicsEngine.DEFAULT_FORCE_TRANSFORM, ...transform };
+    }
+
+    /**
+     * 領域の影響の減衰を設定
+     * @param {number} index - 領域のインデックス
+     * @param {Object} falloff - { inner, outer, curve, bias }（省略した項目はデフォルト）
+     */
+    setRegionFalloff(index, falloff) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        region.falloff = { ...PhysicsEngine.DEFAULT_FALLOFF, ...falloff };
+        region.influences = null;
+    }
+
+    /**
+     * 領域から出ているばねを設定
+     * @param {number} index - 領域のインデックス
+     * @param {Array} links - [{ target（つなぐ先の領域の id）, stiffness, damping }]
+     */
+    setRegionLinks(index, links) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        region.links = (links || []).map(link => ({ ...PhysicsEngine.DEFAULT_LINK, ...link }));
+    }
+
+    /**
+     * 領域どうしをつなぐばねの力を計算（両端に逆向きにかかる）
+     * @returns {Array} - 領域ごとの力 {x, y}
+     */
+    calculateLinkForces() {
+        const forces = this.regions.map(() => ({ x: 0, y: 0 }));
+        const indexById = this.getRegionIndexById();
+
+        for (let i = 0; i < this.regions.length; i++) {
+            const region = this.regions[i];
+            for (const link of region.links) {
+                const j = indexById.get(link.target);
+                if (j === undefined || j === i) continue;
+
+                const other = this.regions[j];
+                const fx = link.stiffness * (other.position.x - region.position.x) +
+                    link.damping * (other.velocity.x - region.velocity.x);
+                const fy = link.stiffness * (other.position.y - region.position.y) +
+                    link.damping * (other.velocity.y - region.velocity.y);
+
+                forces[i].x += fx;
+                forces[i].y += fy;
+                forces[j].x -= fx;
+                forces[j].y -= fy;
+            }
+        }
+
+        return forces;
+    }
+
+    /**
+     * 自動パターンの力に領域の変換を掛ける
+     * 反転してから位相の角度だけ回転する（回転するパターンでは位相のずれ、180°で逆の動きになる）
+     * 反転は mirrorPatterns に含まれるパターンのときだけかける
+     * @param {Object} region - 物理領域
+     * @param {number} x - 力のX成分
+     * @param {number} y - 力のY成分
+     * @param {string} patternId - パターンID
+     * @returns {Object} - 変換後の力 {x, y}
+     */
+    applyForceTransform(region, x, y, patternId) {
+        const { mirrorX, mirrorY, mirrorPatterns, phase, gain } = region.forceTransform;
+        if (!mirrorPatterns || mirrorPatterns.includes(patternId)) {
+            if (mirrorX) x = -x;
+            if (mirrorY) y = -y;
+        }
+
+        const angle = phase * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return {
+            x: (x * cos - y * sin) * gain,
+            y: (x * sin + y * cos) * gain
+        };
+    }
+
+    /**
+     * 領域のミュート・ソロを設定
+     * @param {number} index - 領域のインデックス
+     * @param {Object} flags - { muted, solo }
+     */
+    setRegionVisibility(index, flags) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        region.muted = !!flags.muted;
+        region.solo = !!flags.solo;
+    }
+
+    /**
+     * 領域の揺れを画像に反映するか（ミュートは除外、ソロがあればソロのみ）
+     * @param {Object} region - 物理領域
+     * @param {boolean} soloing - ソロの領域があるか
+     */
+    isRegionActive(region, soloing) {
+        if (region.muted) return false;
+        return !soloing || !!region.solo;
+    }
+
+    /**
+     * 領域の位置・大きさ・角度を更新（揺れの状態とパラメータは維持）
+     * @param {number} index - 領域のインデックス
+     * @param {Object} shape - 正規化された領域 { x, y, width, height, angle }
+     */
+    setRegionShape(index, shape) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        region.x = shape.x;
+        region.y = shape.y;
+        region.width = shape.width;
+        region.height = shape.height;
+        region.angle = shape.angle || 0;
+        region.shape = shape.shape;
+        region.points = shape.points;
+        region.mask = shape.mask;
+
+        // 影響度を再計算させる
+        region.influences = null;
+    }
+
+    /**
+     * 固定領域を追加
+     * @param {Object} region - 正規化された矩形 { x, y, width, height }
+     */
+    addFixedRegion(region) {
+        this.fixedRegions.push({ ...region });
+    }
+
+    setFixedRegions(regions) {
+        this.fixedRegions = [];
+        for (const r of regions) {
+            this.addFixedRegion(r);
+        }
+    }
+
+    clearFixedRegions() {
+        this.fixedRegions = [];
+    }
+
+    /**
+     * 指定インデックスの固定領域を削除
+     * @param {number} index - 削除する固定領域のインデックス
+     */
+    removeFixedRegion(index) {
+        if (index >= 0 && index < this.fixedRegions.length) {
+            this.fixedRegions.splice(index, 1);
+        }
+    }
+
+    /**
+     * 頂点がどれだけ固定されるかを計算
+     * 矩形の内側は完全に固定、外側はぼかし幅で0まで滑らかに戻す
+     * @returns {number} - 0（自由）〜1（完全固定）
+     */
+    calculateFixedWeight(px, py) {
+        let weight = 0;
+
+        for (const region of this.fixedRegions) {
+            // 矩形までの距離（内側なら0）
+            const dx = Math.max(region.x - px, 0, px - (region.x + region.width));
+            const dy = Math.max(region.y - py, 0, py - (region.y + region.height));
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist === 0) return 1;
+
+            const t = dist / this.fixedFeather;
+            if (t < 1) {
+                weight = Math.max(weight, 1 - t * t * (3 - 2 * t));
+            }
+        }
+
+        return weight;
+    }
+
+    /**
+     * 領域の影響度を頂点ごとに取得（頂点や形状が変わるまでキャッシュ）
+     * @param {Object} region - 物理領域
+     * @returns {Float32Array} - this.vertices と同じ順の影響度
+     */
+    getRegionInfluences(region) {
+        if (region.influences && region.influenceVertices === this.vertices) {
+            return region.influences;
+        }
+
+        const influences = new Float32Array(this.vertices.length);
+        for (let i = 0; i < this.vertices.length; i++) {
+            const v = this.vertices[i];
+            influences[i] = this.calculateRegionInfluence(v.baseX, v.baseY, region);
+        }
+
+        region.influences = influences;
+        region.influenceVertices = this.vertices;
+        return influences;
+    }
+
+    /**
+     * 楕円の中心からの正規化距離（中心0、輪郭1）
+     */
+    calculateEllipseDistance(px, py, region) {
         const { x, y, width, height } = region;
+        const angle = region.angle || 0;
 
         const cx = x + width / 2;
         const cy = y + height / 2;
 
-        const rx = (px - cx) / (width / 2);
-        const ry = (py - cy) / (height / 2);
+        // 角度は画面上の回転なので、アスペクト比を戻してから楕円のローカル座標に変換
+        const dx = (px - cx) * this.aspectRatio;
+        const dy = py - cy;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const lx = dx * cos + dy * sin;
+        const ly = -dx * sin + dy * cos;
 
-        const ellipseDist = Math.sqrt(rx * rx + ry * ry);
+        const rx = lx / (width / 2 * this.aspectRatio);
+        const ry = ly / (height / 2);
 
-        const fadeStart = 0.6;
-        const fadeEnd = 1.5;
+        return Math.sqrt(rx * rx + ry * ry);
+    }
 
-        let influence;
-        if (ellipseDist < fadeStart) {
-            influence = Math.exp(-ellipseDist * ellipseDist * 0.5);
-        } else {
-            const t = (ellipseDist - fadeStart) / (fadeEnd - fadeStart);
-            const smoothT = Math.max(0, 1 - t * t * t);
-            const centerValue = Math.exp(-fadeStart * fadeStart * 0.5);
-            influence = centerValue * smoothT;
+    /**
+     * 多角形の輪郭までの距離場を楕円と同じ尺度（中心付近0、輪郭1）に換算
+     * 同じ面積の円の半径を基準にするので、円に近い形なら楕円と同じ減衰になる
+     */
+    calculatePolygonDistance(px, py, region) {
+        const points = region.points;
+        const aspect = this.aspectRatio;
+
+        // 画面上の比率で距離を測る
+        const x = px * aspect;
+        const y = py;
+
+        let inside = false;
+        let minDistSq = Infinity;
+        let area = 0;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const ax = points[j].x * aspect;
+            const ay = points[j].y;
+            const bx = points[i].x * aspect;
+            const by = points[i].y;
+
+            // 内外判定（交差数）
+            if ((ay > y) !== (by > y) && x < (bx - ax) * (y - ay) / (by - ay) + ax) {
+                inside = !inside;
+            }
+
+            // 辺までの最短距離
+            const ex = bx - ax;
+            const ey = by - ay;
+            const lengthSq = ex * ex + ey * ey;
+            const t = lengthSq > 0 ? this.clamp(((x - ax) * ex + (y - ay) * ey) / lengthSq, 0, 1) : 0;
+            const nx = x - (ax + ex * t);
+            const ny = y - (ay + ey * t);
+            minDistSq = Math.min(minDistSq, nx * nx + ny * ny);
+
+            area += ax * by - bx * ay;
         }
 
-        const verticalBias = 1.0 + (cy - py) * 0.5;
-        influence *= Math.max(0.5, Math.min(1.5, verticalBias));
+        const radius = Math.sqrt(Math.abs(area) / 2 / Math.PI);
+        if (radius <= 0) return Infinity;
+
+        const edgeDist = Math.sqrt(minDistSq) / radius;
+        return inside ? Math.max(0, 1 - edgeDist) : 1 + edgeDist;
+    }
+
+    /**
+     * ブラシで塗ったマスクの重みを取得（双線形補間）
+     * @param {Object} mask - { cols, rows, data }（data は 0〜255）
+     * @param {number} px - 正規化されたX座標
+     * @param {number} py - 正規化されたY座標
+     * @returns {number} - 0〜1
+     */
+    sampleMask(mask, px, py) {
+        const { cols, rows, data } = mask;
+
+        // セルの中心を基準にした座標
+        const fx = this.clamp(px * cols - 0.5, 0, cols - 1);
+        const fy = this.clamp(py * rows - 0.5, 0, rows - 1);
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const x1 = Math.min(cols - 1, x0 + 1);
+        const y1 = Math.min(rows - 1, y0 + 1);
+        const tx = fx - x0;
+        const ty = fy - y0;
+
+        const top = data[y0 * cols + x0] * (1 - tx) + data[y0 * cols + x1] * tx;
+        const bottom = data[y1 * cols + x0] * (1 - tx) + data[y1 * cols + x1] * tx;
+        return (top * (1 - ty) + bottom * ty) / 255;
+    }
+
+    calculateRegionInfluence(px, py, region) {
+        // マスクは塗った重みをそのまま影響度にする（減衰や上下の偏りはかけない）
+        if (region.shape === 'mask') {
+            return this.sampleMask(region.mask, px, py);
+        }
+
+        const falloff = { ...PhysicsEngine.DEFAULT_FALLOFF, ...region.falloff };
+
+        const ellipseDist = region.shape === 'polygon'
+            ? this.calculatePolygonDistance(px, py, region)
+            : this.calculateEllipseDistance(px, py, region);
+
+        let influence = this.calculateFalloff(ellipseDist, falloff);
+        if (influence <= 0) return 0;
+
+        // 指定した側ほど強く（画像の正規化座標で中心からの差に比例）
+        const cx = region.x + region.width / 2;
+        const cy = region.y + region.height / 2;
+        const offsets = { up: cy - py, down: py - cy, left: cx - px, right: px - cx };
+        if (offsets[falloff.bias] !== undefined) {
+            const bias = 1.0 + offsets[falloff.bias] * 0.5;
+            influence *= Math.max(0.5, Math.min(1.5, bias));
+        }
 
         return influence;
     }
 
+    /**
+     * 正規化距離から減衰後の影響度を計算
+     * @param {number} dist - 領域の中心からの正規化距離（中心0、輪郭1）
+     * @param {Object} falloff - { inner, outer, curve }
+     * @returns {number} - 影響度（0〜1）
+     */
+    calculateFalloff(dist, falloff) {
+        const { inner, curve } = falloff;
+        const outer = Math.max(inner, falloff.outer);
+
+        if (curve === 'hard') {
+            return dist <= inner ? 1 : 0;
+        }
+
+        // ガウスは中心から徐々に弱まり、それ以外は inner まで一定
+        const core = (d) => curve === 'gaussian' ? Math.exp(-d * d * 0.5) : 1;
+        if (dist < inner) return core(dist);
+        if (dist >= outer) return 0;
+
+        const t = (dist - inner) / (outer - inner);
+        let fade;
+        if (curve === 'linear') {
+            fade = 1 - t;
+        } else if (curve === 'smooth') {
+            fade = 1 - t * t * (3 - 2 * t);
+        } else {
+            fade = 1 - t * t * t;
+        }
+        return core(inner) * fade;
+    }
+
     setParams(params) {
         if (params.stiffness !== undefined) this.baseStiffness = params.stiffness;
         if (params.damping !== undefined) this.baseDamping = params.damping;
@@ -180,110 +856,619 @@ class PhysicsEngine {
             this.calculateGridSize();
             this.initVertices();
         }
+
+        for (const region of this.regions) {
+            this.resolveRegionParams(region);
+        }
+    }
+
+    /**
+     * 全体にかかる力を積み上げる（次の物理ステップで消費）
+     * マウス・タッチ・加速度センサーの変化量など、イベントごとの入力用
+     * @param {Object} force - 力 {x, y}
+     */
+    queueForce(force) {
+        this.pendingForce.x += force.x || 0;
+        this.pendingForce.y += force.y || 0;
+    }
+
+    /**
+     * 特定位置にかかる力を積み上げる（ポインタ位置基準の揺れ）
+     * @param {Object} force - 力 {x, y}
+     * @param {number} posX - 正規化されたX座標（0〜1）
+     * @param {number} posY - 正規化されたY座標（0〜1）
+     */
+    queueForceAtPosition(force, posX, posY) {
+        this.pendingPositionalForces.push({ x: force.x || 0, y: force.y || 0, posX, posY });
+    }
+
+    /**
+     * 自動パターンの力を設定（次に変更されるまで毎ステップかかり続ける）
+     * @param {Object|null} force - 力 {x, y}、nullで解除
+     * @param {string} patternId - パターンID
+     */
+    setAutoForce(force, patternId) {
+        this.autoForce = force ? { x: force.x || 0, y: force.y || 0, patternId: patternId } : null;
     }
 
     /**
-     * 外力を適用して全領域を更新
+     * 端末の傾きで垂れる力を設定（次に変更されるまで毎ステップかかり続ける）
      * @param {Object} force - 力 {x, y}
-     * @param {string} patternId - パターンID（オプション）
      */
-    update(force, patternId) {
+    setGravityForce(force) {
+        this.gravityForce = { x: force.x || 0, y: force.y || 0 };
+    }
+
+    /**
+     * 経過時間ぶん固定タイムステップでシミュレーションを進める
+     * @param {number} elapsed - 前回からの経過時間（ミリ秒）
+     * @returns {Array} - ステップ間を補間した頂点の変位配列
+     */
+    advance(elapsed) {
+        // タブ復帰などで極端に間が空いた場合は追いつこうとしない
+        this.accumulator += Math.min(elapsed, PhysicsEngine.TIME_STEP * PhysicsEngine.MAX_STEPS_PER_FRAME);
+
+        while (this.accumulator >= PhysicsEngine.TIME_STEP) {
+            this.step();
+            this.accumulator -= PhysicsEngine.TIME_STEP;
+        }
+
+        return this.calculateVertexDisplacements(this.accumulator / PhysicsEngine.TIME_STEP);
+    }
+
+    /**
+     * 積み上げた力を適用して全領域を1ステップ更新
+     */
+    step() {
         // 押し込み状態を更新
         this.updatePressState();
 
-        const forceX = (force.x || 0) * this.sensitivity;
-        const forceY = (force.y || 0) * this.sensitivity;
-
-        // 力の履歴を更新（パターンIDも含める）
-        this.forceHistory.unshift({ x: forceX, y: forceY, patternId: patternId });
-        if (this.forceHistory.length > this.historyLength) {
+        // 力の履歴を更新（自動パターンの力は別に持ち、パターンIDも含める、感度は領域ごとに掛ける）
+        this.forceHistory.unshift({
+            x: this.pendingForce.x + this.gravityForce.x,
+            y: this.pendingForce.y + this.gravityForce.y,
+            auto: this.autoForce
+        });
+        const historyLength = this.getHistoryLength();
+        while (this.forceHistory.length > historyLength) {
             this.forceHistory.pop();
         }
 
-        // 各領域を独立して更新
-        for (let i = 0; i < this.regions.length; i++) {
+        const positionalForces = this.pendingPositionalForces;
+        this.pendingForce = { x: 0, y: 0 };
+        this.pendingPositionalForces = [];
+
+        this.updateGrabState();
+
+        if (this.simulationMode === 'softbody') {
+            this.stepSoftBody(positionalForces);
+            return;
+        }
+
+        // 領域どうしのばねは更新前の状態から求める（更新順で結果が変わらないように）
+        const linkForces = this.calculateLinkForces();
+
+        // 各領域を独立して更新（親のある領域は親の更新後に）
+        const indexById = this.getRegionIndexById();
+        // 親の更新前の状態（子は親からのずれを動かすため、親が先に更新されても前の値を参照できるようにする）
+        const previous = this.regions.map(region => ({
+            x: region.position.x, y: region.position.y,
+            vx: region.velocity.x, vy: region.velocity.y
+        }));
+
+        for (const i of this.getUpdateOrder(indexById)) {
             const region = this.regions[i];
 
-            // 遅延した力を取得
-            const delayIndex = Math.min(region.delayFrames, this.forceHistory.length - 1);
-            const delayedForce = this.forceHistory[delayIndex] || { x: 0, y: 0, patternId: null };
-
-            // もみもみパターンの場合、奇数番目の領域（右胸）は逆回転
-            let appliedForceX = delayedForce.x;
-            let appliedForceY = delayedForce.y;
-            if (delayedForce.patternId === 'kneadLeft' || delayedForce.patternId === 'kneadRight') {
-                if (i % 2 === 1) {
-                    // 奇数番目の領域（右胸）は逆回転（X軸を反転）
-                    appliedForceX = -appliedForceX;
-                }
+            // 補間用に前ステップの位置を保存
+            region.prevPosition.x = region.position.x;
+            region.prevPosition.y = region.position.y;
+
+            const force = this.calculateRegionForce(region, positionalForces);
+            let appliedForceX = force.x;
+            let appliedForceY = force.y;
+
+            // つながった領域から引っ張られる力（感度はかけない）
+            appliedForceX += linkForces[i].x;
+            appliedForceY += linkForces[i].y;
+
+            // つかまれていればポインタに引き寄せる
+            for (const grab of this.grabPoints.values()) {
+                if (grab.regionIndex !== i) continue;
+                appliedForceX += PhysicsEngine.GRAB_STIFFNESS * (grab.displacement.x - region.position.x) +
+                    PhysicsEngine.GRAB_DAMPING * (grab.velocity.x - region.velocity.x);
+                appliedForceY += PhysicsEngine.GRAB_STIFFNESS * (grab.displacement.y - region.position.y) +
+                    PhysicsEngine.GRAB_DAMPING * (grab.velocity.y - region.velocity.y);
             }
 
+            // 親がある領域は親からのずれをばねで動かす。親が動いた分の慣性で遅れ、あとから追いついて振れる
+            const parentIndex = region.parent !== undefined ? indexById.get(region.parent) : undefined;
+            const parent = parentIndex !== undefined && parentIndex !== i ? this.regions[parentIndex] : null;
+            const before = parent ? previous[parentIndex] : null;
+            const baseX = parent ? parent.position.x : 0;
+            const baseY = parent ? parent.position.y : 0;
+            const baseVX = parent ? parent.velocity.x : 0;
+            const baseVY = parent ? parent.velocity.y : 0;
+            const inertiaX = parent ? parent.velocity.x - before.vx : 0;
+            const inertiaY = parent ? parent.velocity.y - before.vy : 0;
+
+            let offsetX = region.position.x - (before ? before.x : 0);
+            let offsetY = region.position.y - (before ? before.y : 0);
+            let offsetVX = region.velocity.x - (before ? before.vx : 0);
+            let offsetVY = region.velocity.y - (before ? before.vy : 0);
+
             // バネ力（領域固有のstiffness）
-            const springForceX = -region.stiffness * region.position.x;
-            const springForceY = -region.stiffness * region.position.y;
+            const springForceX = -region.stiffness * offsetX;
+            const springForceY = -region.stiffness * offsetY;
 
             // 減衰力（領域固有のdamping）
-            const dampingForceX = -region.damping * region.velocity.x;
-            const dampingForceY = -region.damping * region.velocity.y;
+            const dampingForceX = -region.damping * offsetVX;
+            const dampingForceY = -region.damping * offsetVY;
 
             // 加速度（適用する力を使用）
-            const ax = (springForceX + dampingForceX + appliedForceX) / this.mass;
-            const ay = (springForceY + dampingForceY + appliedForceY) / this.mass;
+            const ax = (springForceX + dampingForceX + appliedForceX) / region.mass - inertiaX;
+            const ay = (springForceY + dampingForceY + appliedForceY) / region.mass - inertiaY;
 
             // 速度更新
-            region.velocity.x += ax;
-            region.velocity.y += ay;
+            offsetVX += ax;
+            offsetVY += ay;
 
             // 位置更新
-            region.position.x += region.velocity.x;
-            region.position.y += region.velocity.y;
+            offsetX += offsetVX;
+            offsetY += offsetVY;
 
-            // 制限
-            region.position.x = this.clamp(region.position.x, -this.maxDisplacement, this.maxDisplacement);
-            region.position.y = this.clamp(region.position.y, -this.maxDisplacement, this.maxDisplacement);
+            // 制限（親からのずれを制限するので、鎖の先ほど大きく振れる）
+            offsetX = this.clamp(offsetX, -region.maxDisplacement, region.maxDisplacement);
+            offsetY = this.clamp(offsetY, -region.maxDisplacement, region.maxDisplacement);
 
-            // 微小振動の抑制: 位置と速度が十分小さければゼロにする
-            if (Math.abs(region.position.x) < this.posThreshold && Math.abs(region.velocity.x) < this.velThreshold) {
-                region.position.x = 0;
-                region.velocity.x = 0;
+            // 微小振動の抑制: 位置と速度が十分小さければ0にする
+            if (Math.abs(offsetX) < this.posThreshold && Math.abs(offsetVX) < this.velThreshold) {
+                offsetX = 0;
+                offsetVX = 0;
             }
-            if (Math.abs(region.position.y) < this.posThreshold && Math.abs(region.velocity.y) < this.velThreshold) {
-                region.position.y = 0;
-                region.velocity.y = 0;
+            if (Math.abs(offsetY) < this.posThreshold && Math.abs(offsetVY) < this.velThreshold) {
+                offsetY = 0;
+                offsetVY = 0;
             }
+
+            region.position.x = baseX + offsetX;
+            region.position.y = baseY + offsetY;
+            region.velocity.x = baseVX + offsetVX;
+            region.velocity.y = baseVY + offsetVY;
+
+            this.stepRegionDeformation(region, force.torque, force.stretch);
         }
+    }
 
-        return this.calculateVertexDisplacements();
+    /**
+     * ソフトボディの頂点を1ステップ更新
+     * 領域の影響度で重み付けした硬さ・減衰・質量・感度を頂点ごとに持ち、どの領域にも入らない頂点と固定領域は動かさない
+     * @param {Array} positionalForces - このステップのポインタ位置基準の力
+     */
+    stepSoftBody(positionalForces) {
+        const regionInfluences = this.getActiveRegionInfluences();
+        const regionForces = this.regions.map((region, i) => regionInfluences[i] ? this.calculateRegionForce(region, []) : null);
+        const columns = this.gridSizeX + 1;
+        const rows = this.gridSizeY + 1;
+        const radius = PhysicsEngine.SOFT_BODY_POINTER_RADIUS;
+
+        // 更新前の変位（隣のばねは全頂点で同じ時点の値を使う）
+        for (const v of this.vertices) {
+            v.prevDx = v.dx;
+            v.prevDy = v.dy;
+        }
+
+        for (let vi = 0; vi < this.vertices.length; vi++) {
+            const v = this.vertices[vi];
+
+            // 領域を重ねた硬さ・減衰・質量・感度の分布
+            let weight = 0;
+            let stiffness = 0;
+            let damping = 0;
+            let mass = 0;
+            let sensitivity = 0;
+            let maxDisplacement = 0;
+            let forceX = 0;
+            let forceY = 0;
+            for (let ri = 0; ri < this.regions.length; ri++) {
+                if (!regionInfluences[ri]) continue;
+                const influence = regionInfluences[ri][vi];
+                if (influence <= 0.001) continue;
+
+                const region = this.regions[ri];
+                weight += influence;
+                stiffness += region.stiffness * influence;
+                damping += region.damping * influence;
+                mass += region.mass * influence;
+                sensitivity += region.sensitivity * influence;
+                maxDisplacement += region.maxDisplacement * influence;
+                forceX += regionForces[ri].x * influence;
+                forceY += regionForces[ri].y * influence;
+            }
+
+            const free = this.fixedRegions.length > 0 ? 1 - this.calculateFixedWeight(v.baseX, v.baseY) : 1;
+            if (weight < 0.01 || free < 0.01) {
+                v.dx = 0;
+                v.dy = 0;
+                v.vx = 0;
+                v.vy = 0;
+                continue;
+            }
+
+            stiffness /= weight;
+            damping /= weight;
+            mass /= weight;
+            sensitivity /= weight;
+            maxDisplacement /= weight;
+
+            // 外周に近い頂点ほど力が弱い（影響度の合計は1で頭打ち）
+            const strength = Math.min(weight, 1) * free;
+            forceX *= free;
+            forceY *= free;
+
+            // ポインタ位置基準の力は、触った場所の近くの頂点だけを押す
+            for (const force of positionalForces) {
+                const px = (v.baseX - force.posX) * this.aspectRatio;
+                const py = v.baseY - force.posY;
+                const falloff = Math.exp(-(px * px + py * py) / (2 * radius * radius));
+                if (falloff > 0.01) {
+                    forceX += force.x * falloff * sensitivity * strength;
+                    forceY += force.y * falloff * sensitivity * strength;
+                }
+            }
+
+            // つかんだ場所の近くの頂点をポインタに引き寄せる
+            for (const grab of this.grabPoints.values()) {
+                const pull = this.calculateSoftBodyGrabWeight(v, grab) * strength;
+                if (pull > 0.01) {
+                    forceX += pull * PhysicsEngine.SOFT_BODY_GRAB_STIFFNESS * (grab.displacement.x - v.prevDx);
+                    forceY += pull * PhysicsEngine.SOFT_BODY_GRAB_STIFFNESS * (grab.displacement.y - v.prevDy);
+                }
+            }
+
+            // 元の位置に戻すばね
+            forceX -= stiffness * v.prevDx;
+            forceY -= stiffness * v.prevDy;
+
+            // 隣の頂点とのばね（変位の差を縮める）
+            const gx = vi % columns;
+            const gy = Math.floor(vi / columns);
+            for (let oy = -1; oy <= 1; oy++) {
+                for (let ox = -1; ox <= 1; ox++) {
+                    if (ox === 0 && oy === 0) continue;
+                    const nx = gx + ox;
+                    const ny = gy + oy;
+                    if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) continue;
+
+                    const neighbor = this.vertices[ny * columns + nx];
+                    const k = ox === 0 || oy === 0 ? PhysicsEngine.SOFT_BODY_STRUCTURAL : PhysicsEngine.SOFT_BODY_SHEAR;
+                    forceX += k * (neighbor.prevDx - v.prevDx);
+                    forceY += k * (neighbor.prevDy - v.prevDy);
+                }
+            }
+
+            // 減衰は1ステップごとに残る速度の割合（大きいほど揺れが続く）
+            v.vx = (v.vx + forceX / mass) * damping;
+            v.vy = (v.vy + forceY / mass) * damping;
+            v.dx = this.clamp(v.prevDx + v.vx, -maxDisplacement, maxDisplacement);
+            v.dy = this.clamp(v.prevDy + v.vy, -maxDisplacement, maxDisplacement);
+
+            // 微小振動の抑制
+            if (Math.abs(v.dx) < this.posThreshold && Math.abs(v.vx) < this.velThreshold) {
+                v.dx = 0;
+                v.vx = 0;
+            }
+            if (Math.abs(v.dy) < this.posThreshold && Math.abs(v.vy) < this.velThreshold) {
+                v.dy = 0;
+                v.vy = 0;
+            }
+        }
+    }
+
+    /**
+     * 揺れの計算方法を切り替える（揺れの状態はリセット）
+     * @param {string} mode - 'region' | 'softbody'
+     */
+    setSimulationMode(mode) {
+        if (!PhysicsEngine.SIMULATION_MODES.includes(mode) || mode === this.simulationMode) return;
+        this.simulationMode = mode;
+        this.reset();
+    }
+
+    getSimulationMode() {
+        return this.simulationMode;
+    }
+
+    /**
+     * 領域にかかる力を求める（遅延した全体の力、自動パターン、ポインタ位置基準の力。感度を掛けた値）
+     * @param {Object} region - 物理領域
+     * @param {Array} positionalForces - このステップのポインタ位置基準の力
+     * @returns {Object} - { x, y, torque（回転させる力）, stretch（縦に伸ばす力） }
+     */
+    calculateRegionForce(region, positionalForces) {
+        // 遅延した力を取得
+        const delayIndex = Math.min(region.delayFrames, this.forceHistory.length - 1);
+        const delayedForce = this.forceHistory[delayIndex] || { x: 0, y: 0, auto: null };
+
+        let appliedForceX = delayedForce.x;
+        let appliedForceY = delayedForce.y;
+
+        // 自動パターンの力（領域ごとの反転・位相・強さを掛ける）
+        const auto = delayedForce.auto;
+        if (auto) {
+            const transformed = this.applyForceTransform(region, auto.x, auto.y, auto.patternId);
+            appliedForceX += transformed.x;
+            appliedForceY += transformed.y;
+        }
+
+        // 全体にかかる力は、領域の横向きの成分で傾け、かかった向きに縮める
+        const local = this.toRegionLocal(region, appliedForceX, appliedForceY);
+        let torque = local.x;
+        let stretchForce = Math.abs(local.x) - Math.abs(local.y);
+
+        // ポインタ位置基準の力（領域内かつ近いほど強い影響、遅延なし）
+        for (const force of positionalForces) {
+            const influence = this.calculateRegionInfluence(force.posX, force.posY, region);
+            if (influence > 0.01) {
+                appliedForceX += force.x * influence;
+                appliedForceY += force.y * influence;
+
+                // 中心から離れた場所を押すほど大きく回る
+                const lever = this.calculateRegionLever(force.posX, force.posY, region);
+                const localForce = this.toRegionLocal(region, force.x * influence, force.y * influence);
+                torque += lever.x * localForce.y - lever.y * localForce.x;
+                stretchForce += Math.abs(localForce.x) - Math.abs(localForce.y);
+            }
+        }
+
+        appliedForceX *= region.sensitivity;
+        appliedForceY *= region.sensitivity;
+        torque *= region.sensitivity * region.rotationAmount * PhysicsEngine.ROTATION_PER_UNIT;
+        stretchForce *= region.sensitivity * region.stretchAmount * PhysicsEngine.STRETCH_PER_UNIT;
+
+        return { x: appliedForceX, y: appliedForceY, torque: torque, stretch: stretchForce };
+    }
+
+    /**
+     * 領域の回転と伸縮を1ステップ進める（並進と同じ硬さ・減衰・質量のばね）
+     * @param {Object} region - 物理領域
+     * @param {number} torque - 回転させる力（ラジアンに換算済み）
+     * @param {number} stretchForce - 縦に伸ばす力（正で縦に伸び、負で縦に縮む）
+     */
+    stepRegionDeformation(region, torque, stretchForce) {
+        region.prevRotation = region.rotation;
+        region.prevStretch = region.stretch;
+
+        region.rotationVelocity += (-region.stiffness * region.rotation - region.damping * region.rotationVelocity + torque) / region.mass;
+        region.rotation = this.clamp(region.rotation + region.rotationVelocity, -PhysicsEngine.MAX_ROTATION, PhysicsEngine.MAX_ROTATION);
+
+        region.stretchVelocity += (-region.stiffness * region.stretch - region.damping * region.stretchVelocity + stretchForce) / region.mass;
+        region.stretch = this.clamp(region.stretch + region.stretchVelocity, -PhysicsEngine.MAX_STRETCH, PhysicsEngine.MAX_STRETCH);
+
+        // 微小振動の抑制（閾値は並進と同じ割合に換算）
+        if (Math.abs(region.rotation) < this.posThreshold * PhysicsEngine.ROTATION_PER_UNIT &&
+            Math.abs(region.rotationVelocity) < this.velThreshold * PhysicsEngine.ROTATION_PER_UNIT) {
+            region.rotation = 0;
+            region.rotationVelocity = 0;
+        }
+        if (Math.abs(region.stretch) < this.posThreshold * PhysicsEngine.STRETCH_PER_UNIT &&
+            Math.abs(region.stretchVelocity) < this.velThreshold * PhysicsEngine.STRETCH_PER_UNIT) {
+            region.stretch = 0;
+            region.stretchVelocity = 0;
+        }
+    }
+
+    /**
+     * 画面上の向き（変位の単位）を領域の傾きに合わせたローカルの向きに変換
+     * @returns {Object} - { x, y }
+     */
+    toRegionLocal(region, x, y) {
+        const angle = region.angle || 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: x * cos + y * sin,
+            y: -x * sin + y * cos
+        };
+    }
+
+    /**
+     * 領域の中心から点までの腕の長さ（ローカル座標、枠の半径を1とした値）
+     * @param {number} px - 正規化X座標
+     * @param {number} py - 正規化Y座標
+     * @returns {Object} - { x, y }
+     */
+    calculateRegionLever(px, py, region) {
+        const cx = region.x + region.width / 2;
+        const cy = region.y + region.height / 2;
+        const local = this.toRegionLocal(region, (px - cx) * this.aspectRatio, py - cy);
+        return {
+            x: local.x / Math.max(region.width / 2 * this.aspectRatio, 0.001),
+            y: local.y / Math.max(region.height / 2, 0.001)
+        };
+    }
+
+    /**
+     * 領域の回転・伸縮による頂点の移動量を計算する変換（中心まわり、面積は変わらない）
+     * @param {number} alpha - 前ステップと現ステップの補間係数
+     * @returns {Object|null} - { cx, cy, m11, m12, m21, m22 }（中心からの位置に掛けると移動量になる行列）。変形がなければnull
+     */
+    getRegionDeformation(region, alpha) {
+        const rotation = region.prevRotation + (region.rotation - region.prevRotation) * alpha;
+        const stretch = region.prevStretch + (region.stretch - region.prevStretch) * alpha;
+        if (rotation === 0 && stretch === 0) return null;
+
+        // 領域のローカル座標で縦に exp(stretch)、横にその逆数だけ伸ばし、画面の向きに戻してから回す
+        const angle = region.angle || 0;
+        const cosA = Math.cos(angle);
+        const sinA = Math.sin(angle);
+        const sx = Math.exp(-stretch);
+        const sy = Math.exp(stretch);
+        const a11 = cosA * cosA * sx + sinA * sinA * sy;
+        const a12 = cosA * sinA * (sx - sy);
+        const a22 = sinA * sinA * sx + cosA * cosA * sy;
+        const cosR = Math.cos(rotation);
+        const sinR = Math.sin(rotation);
+
+        return {
+            cx: region.x + region.width / 2,
+            cy: region.y + region.height / 2,
+            m11: cosR * a11 - sinR * a12 - 1,
+            m12: cosR * a12 - sinR * a22,
+            m21: sinR * a11 + cosR * a12,
+            m22: sinR * a12 + cosR * a22 - 1
+        };
+    }
+
+    /**
+     * 親が子より先になる領域の更新順（親子の深さ順、同じ深さは並び順）
+     * @param {Map} indexById - getRegionIndexById の結果
+     * @returns {Array} - 領域のインデックスの配列
+     */
+    getUpdateOrder(indexById) {
+        const depths = this.regions.map(region => {
+            let depth = 0;
+            let current = region;
+            const visited = new Set([region]);
+            while (current.parent !== undefined) {
+                const parent = this.regions[indexById.get(current.parent)];
+                if (!parent || visited.has(parent)) break;
+                visited.add(parent);
+                current = parent;
+                depth++;
+            }
+            return depth;
+        });
+
+        return this.regions.map((_, i) => i).sort((a, b) => depths[a] - depths[b]);
+    }
+
+    /**
+     * 領域の id からインデックスを引く表
+     * @returns {Map} - id -> インデックス
+     */
+    getRegionIndexById() {
+        const indexById = new Map();
+        this.regions.forEach((region, i) => {
+            if (region.id !== undefined) indexById.set(region.id, i);
+        });
+        return indexById;
+    }
+
+    /**
+     * 領域の親を設定（親の揺れに追従し、遅れて振れる）
+     * @param {number} index - 領域のインデックス
+     * @param {number|undefined} parentId - 親の領域の id（undefined で親なし）
+     */
+    setRegionParent(index, parentId) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        if (parentId === undefined) {
+            delete region.parent;
+        } else {
+            region.parent = parentId;
+        }
+    }
+
+    /**
+     * 揺れに使う領域ごとの頂点の影響度
+     * @returns {Array} - 領域ごとの Float32Array（ミュート・ソロで外れた領域は null）
+     */
+    getActiveRegionInfluences() {
+        const soloing = this.regions.some(region => region.solo);
+        return this.regions.map(region =>
+            this.isRegionActive(region, soloing) ? this.getRegionInfluences(region) : null
+        );
+    }
+
+    /**
+     * 頂点ごとの影響度の合計（固定領域で抑えた後の値、影響度の表示用）
+     * @returns {Object} - { cols, rows, values }（values は頂点の並び順の Float32Array）
+     */
+    calculateInfluenceMap() {
+        const regionInfluences = this.getActiveRegionInfluences();
+        const values = new Float32Array(this.vertices.length);
+
+        for (let vi = 0; vi < this.vertices.length; vi++) {
+            let total = 0;
+            for (const influences of regionInfluences) {
+                if (influences) total += influences[vi];
+            }
+
+            if (total > 0 && this.fixedRegions.length > 0) {
+                const v = this.vertices[vi];
+                total *= 1 - this.calculateFixedWeight(v.baseX, v.baseY);
+            }
+            values[vi] = total;
+        }
+
+        return { cols: this.gridSizeX + 1, rows: this.gridSizeY + 1, values };
     }
 
-    calculateVertexDisplacements() {
+    /**
+     * 頂点の変位を計算
+     * @param {number} alpha - 前ステップと現ステップの補間係数（0〜1、省略時は現ステップ）
+     */
+    calculateVertexDisplacements(alpha = 1) {
         const result = [];
 
         // 微小振動を抑制するための閾値
-        const threshold = 0.3;
+        const threshold = 0.06;
 
-        for (const v of this.vertices) {
+        const regionInfluences = this.getActiveRegionInfluences();
+        const softBody = this.simulationMode === 'softbody';
+        const deformations = this.regions.map(region => this.getRegionDeformation(region, alpha));
+
+        // 正規化座標を変位の単位（短辺の1%）に換算する倍率
+        const units = this.getNormalizedToUnits();
+
+        for (let vi = 0; vi < this.vertices.length; vi++) {
+            const v = this.vertices[vi];
             let totalDx = 0;
             let totalDy = 0;
             let totalWeight = 0;
 
-            for (const region of this.regions) {
-                const influence = this.calculateRegionInfluence(v.baseX, v.baseY, region);
+            if (softBody) {
+                // ソフトボディは頂点ごとの変位をそのまま使う
+                totalDx = v.prevDx + (v.dx - v.prevDx) * alpha;
+                totalDy = v.prevDy + (v.dy - v.prevDy) * alpha;
+                for (const influences of regionInfluences) {
+                    if (influences) totalWeight += influences[vi];
+                }
+            }
+
+            for (let ri = 0; ri < this.regions.length && !softBody; ri++) {
+                if (!regionInfluences[ri]) continue;
+
+                const region = this.regions[ri];
+                const influence = regionInfluences[ri][vi];
 
                 if (influence > 0.001) {
-                    totalDx += region.position.x * influence;
-                    totalDy += region.position.y * influence;
+                    const posX = region.prevPosition.x + (region.position.x - region.prevPosition.x) * alpha;
+                    const posY = region.prevPosition.y + (region.position.y - region.prevPosition.y) * alpha;
+                    totalDx += posX * influence;
+                    totalDy += posY * influence;
                     totalWeight += influence;
+
+                    // 中心まわりの回転・伸縮
+                    const deformation = deformations[ri];
+                    if (deformation) {
+                        const rx = (v.baseX - deformation.cx) * units.x;
+                        const ry = (v.baseY - deformation.cy) * units.y;
+                        totalDx += (deformation.m11 * rx + deformation.m12 * ry) * influence;
+                        totalDy += (deformation.m21 * rx + deformation.m22 * ry) * influence;
+                    }
                 }
             }
 
             // 各押し込みポイントからの変形を追加（領域内のみ）
             for (const [id, point] of this.pressPoints) {
-                if (point.depth > 0.001) {
+                const depth = point.prevDepth + (point.depth - point.prevDepth) * alpha;
+                if (depth > 0.001) {
                     // この頂点が領域内にあるかチェック
                     let regionInfluence = 0;
-                    for (const region of this.regions) {
-                        regionInfluence = Math.max(regionInfluence, this.calculateRegionInfluence(v.baseX, v.baseY, region));
+                    for (const influences of regionInfluences) {
+                        if (influences) regionInfluence = Math.max(regionInfluence, influences[vi]);
                     }
 
                     // 領域内でない場合はスキップ
@@ -295,12 +1480,12 @@ class PhysicsEngine {
                     const dist = Math.sqrt(dx * dx + dy * dy);
 
                     // 影響範囲（距離に応じてガウス的に減衰）
-                    const radius = 0.15; // 影響半径
+                    const radius = this.press.radius;
                     const pressInfluence = Math.exp(-(dist * dist) / (2 * radius * radius));
 
                     if (pressInfluence > 0.01) {
-                        // 押し込みによる変形量（最大15ピクセル）
-                        const pressDisplacement = point.depth * 15;
+                        // 押し込みによる変形量
+                        const pressDisplacement = depth * this.press.depth;
 
                         // 領域の影響度も加味
                         const combinedInfluence = pressInfluence * regionInfluence;
@@ -310,17 +1495,28 @@ class PhysicsEngine {
                             const normalX = dx / dist;
                             const normalY = dy / dist;
                             // 外側に押し出す
-                            totalDx += normalX * pressDisplacement * combinedInfluence * 0.5;
-                            totalDy += normalY * pressDisplacement * combinedInfluence * 0.3;
+                            totalDx += normalX * pressDisplacement * combinedInfluence * PhysicsEngine.PRESS_PUSH_X;
+                            totalDy += normalY * pressDisplacement * combinedInfluence * PhysicsEngine.PRESS_PUSH_Y;
                         }
 
                         // 中心は凹む
                         const centerInfluence = Math.exp(-(dist * dist) / (2 * (radius * 0.5) * (radius * 0.5)));
-                        totalDy += pressDisplacement * centerInfluence * regionInfluence * 0.3;
+                        totalDy += pressDisplacement * centerInfluence * regionInfluence * PhysicsEngine.PRESS_SINK;
+
+                        // ペンを傾けた向きに押し出す
+                        totalDx += point.tilt.x * pressDisplacement * combinedInfluence * PhysicsEngine.PRESS_TILT;
+                        totalDy += point.tilt.y * pressDisplacement * combinedInfluence * PhysicsEngine.PRESS_TILT;
                     }
                 }
             }
 
+            // 固定領域内の頂点は動かさない
+            if (this.fixedRegions.length > 0) {
+                const free = 1 - this.calculateFixedWeight(v.baseX, v.baseY);
+                totalDx *= free;
+                totalDy *= free;
+            }
+
             // 微小な変位を0に丸める（振動抑制）
             if (Math.abs(totalDx) < threshold) totalDx = 0;
             if (Math.abs(totalDy) < threshold) totalDy = 0;
@@ -339,16 +1535,20 @@ class PhysicsEngine {
 
     /**
      * 押し込みを開始（位置指定）
-     * @param {number} id - 押し込みポイントのID（マウス=0、タッチ=タッチID）
+     * @param {number} id - 押し込みポイントのID（ポインタID）
      * @param {number} x - 正規化されたX座標（0〜1）
      * @param {number} y - 正規化されたY座標（0〜1）
+     * @param {number} pressure - 押し込みの強さ（0〜1、筆圧など。目標の深さの割合になる）
+     * @param {Object} tilt - ペンの傾き { x, y }（-1〜1、傾けた向きに押し出す）
      */
-    startPress(id, x, y) {
+    startPress(id, x, y, pressure = 1, tilt = { x: 0, y: 0 }) {
         this.pressPoints.set(id, {
             x: x,
             y: y,
             depth: 0,
-            targetDepth: 1.0
+            prevDepth: 0,
+            targetDepth: pressure,
+            tilt: { ...tilt }
         });
     }
 
@@ -357,12 +1557,17 @@ class PhysicsEngine {
      * @param {number} id - 押し込みポイントのID
      * @param {number} x - 正規化されたX座標（0〜1）
      * @param {number} y - 正規化されたY座標（0〜1）
+     * @param {number} pressure - 押し込みの強さ（省略時は変えない）
+     * @param {Object} tilt - ペンの傾き（省略時は変えない）
      */
-    updatePressPosition(id, x, y) {
+    updatePressPosition(id, x, y, pressure, tilt) {
         const point = this.pressPoints.get(id);
         if (point) {
             point.x = x;
             point.y = y;
+            // 離した後の戻り中は強さを変えない
+            if (pressure !== undefined && point.targetDepth > 0) point.targetDepth = pressure;
+            if (tilt !== undefined) point.tilt = { ...tilt };
         }
     }
 
@@ -374,7 +1579,7 @@ class PhysicsEngine {
         const point = this.pressPoints.get(id);
         if (point) {
             // 離したときに揺れを発生させる（押し込みの深さに応じた衝撃）
-            const releaseMagnitude = point.depth * 8;
+            const releaseMagnitude = point.depth * 1.6 * this.press.bounce;
 
             // 押し込み位置に近い領域に影響を与える
             for (const region of this.regions) {
@@ -391,7 +1596,7 @@ class PhysicsEngine {
                 if (influence > 0) {
                     // 押し込み位置から外側に向かう反発力
                     const angle = Math.atan2(cy - point.y, cx - point.x);
-                    const randomOffset = (Math.random() - 0.5) * 0.3;
+                    const randomOffset = (this.random() - 0.5) * 0.3;
                     region.velocity.x += Math.cos(angle + randomOffset) * releaseMagnitude * influence * 0.5;
                     region.velocity.y += Math.sin(angle + randomOffset) * releaseMagnitude * influence * 0.5;
                     // 上方向への反発も追加
@@ -404,6 +1609,148 @@ class PhysicsEngine {
         }
     }
 
+    /**
+     * つかみを開始（その位置で一番影響の強い領域をつかむ。ソフトボディでは近くの頂点をつかむ）
+     * @param {number} id - つかむポイントのID（ポインタID）
+     * @param {number} x - 正規化されたX座標（0〜1）
+     * @param {number} y - 正規化されたY座標（0〜1）
+     * @returns {boolean} - 領域をつかめたか
+     */
+    startGrab(id, x, y) {
+        const soloing = this.regions.some(region => region.solo);
+        let regionIndex = -1;
+        let best = 0.1;
+        for (let i = 0; i < this.regions.length; i++) {
+            const region = this.regions[i];
+            if (!this.isRegionActive(region, soloing)) continue;
+
+            const influence = this.calculateRegionInfluence(x, y, region);
+            if (influence > best) {
+                best = influence;
+                regionIndex = i;
+            }
+        }
+        if (regionIndex < 0) return false;
+
+        // ソフトボディは領域ではなく頂点を引き寄せる
+        const softBody = this.simulationMode === 'softbody';
+        const region = this.regions[regionIndex];
+        const start = softBody ? { x: 0, y: 0 } : { x: region.position.x, y: region.position.y };
+
+        this.grabPoints.set(id, {
+            x: x,
+            y: y,
+            targetX: x,
+            targetY: y,
+            regionIndex: softBody ? -1 : regionIndex,
+            start: start,
+            displacement: { ...start },
+            velocity: { x: 0, y: 0 }
+        });
+        return true;
+    }
+
+    /**
+     * つかんでいる位置を更新
+     * @param {number} id - つかむポイントのID
+     * @param {number} x - 正規化されたX座標（0〜1）
+     * @param {number} y - 正規化されたY座標（0〜1）
+     */
+    updateGrabPosition(id, x, y) {
+        const grab = this.grabPoints.get(id);
+        if (grab) {
+            grab.targetX = x;
+            grab.targetY = y;
+        }
+    }
+
+    /**
+     * つかみを終了（ポインタの速さで放り投げる）
+     * @param {number} id - つかむポイントのID
+     */
+    endGrab(id) {
+        const grab = this.grabPoints.get(id);
+        if (!grab) return;
+
+        const flingX = grab.velocity.x * PhysicsEngine.FLING_GAIN;
+        const flingY = grab.velocity.y * PhysicsEngine.FLING_GAIN;
+
+        if (grab.regionIndex >= 0) {
+            const region = this.regions[grab.regionIndex];
+            if (region) {
+                region.velocity.x = flingX;
+                region.velocity.y = flingY;
+            }
+        } else {
+            for (const v of this.vertices) {
+                const pull = this.calculateSoftBodyGrabWeight(v, grab);
+                v.vx += flingX * pull;
+                v.vy += flingY * pull;
+            }
+        }
+
+        this.grabPoints.delete(id);
+    }
+
+    /**
+     * つかんでいるか
+     * @param {number} id - つかむポイントのID
+     */
+    isGrabbing(id) {
+        return this.grabPoints.has(id);
+    }
+
+    /**
+     * つかんでいる位置から引き寄せる変位とポインタの速さを更新（1ステップごと）
+     */
+    updateGrabState() {
+        const units = this.getNormalizedToUnits();
+
+        for (const grab of this.grabPoints.values()) {
+            const x = grab.start.x + (grab.targetX - grab.x) * units.x;
+            const y = grab.start.y + (grab.targetY - grab.y) * units.y;
+
+            const smoothing = PhysicsEngine.GRAB_VELOCITY_SMOOTHING;
+            grab.velocity.x += (x - grab.displacement.x - grab.velocity.x) * smoothing;
+            grab.velocity.y += (y - grab.displacement.y - grab.velocity.y) * smoothing;
+            grab.displacement.x = x;
+            grab.displacement.y = y;
+        }
+    }
+
+    /**
+     * ソフトボディでつかんだ場所からの距離による引き寄せの強さ
+     * @returns {number} - 0〜1
+     */
+    calculateSoftBodyGrabWeight(v, grab) {
+        const radius = PhysicsEngine.SOFT_BODY_GRAB_RADIUS;
+        const dx = (v.baseX - grab.x) * this.aspectRatio;
+        const dy = v.baseY - grab.y;
+        return Math.exp(-(dx * dx + dy * dy) / (2 * radius * radius));
+    }
+
+    /**
+     * 正規化座標の1を変位の単位（短辺の1%）に換算する倍率
+     * @returns {Object} - { x, y }
+     */
+    getNormalizedToUnits() {
+        const shortSide = Math.min(this.aspectRatio, 1);
+        return {
+            x: this.aspectRatio / shortSide * 100,
+            y: 100 / shortSide
+        };
+    }
+
+    /**
+     * 押し込みの設定を変更（指定した項目だけ）
+     * @param {Object} press - { radius, depth, pressSpeed, releaseSpeed, bounce } の一部
+     */
+    setPressParams(press) {
+        for (const key of PhysicsEngine.PRESS_PARAM_KEYS) {
+            if (press[key] !== undefined) this.press[key] = press[key];
+        }
+    }
+
     /**
      * 押し込み状態を更新
      */
@@ -411,12 +1758,13 @@ class PhysicsEngine {
         const toDelete = [];
 
         for (const [id, point] of this.pressPoints) {
+            point.prevDepth = point.depth;
             if (point.targetDepth > 0) {
                 // 押し込み中：目標に向かって素早く移動
-                point.depth += (point.targetDepth - point.depth) * this.pressSpeed;
+                point.depth += (point.targetDepth - point.depth) * this.press.pressSpeed;
             } else {
                 // 離し中：ゆっくり戻る
-                point.depth += (point.targetDepth - point.depth) * this.releaseSpeed;
+                point.depth += (point.targetDepth - point.depth) * this.press.releaseSpeed;
                 // 非常に小さくなったら削除
                 if (Math.abs(point.depth) < 0.001) {
                     toDelete.push(id);
@@ -431,103 +1779,118 @@ class PhysicsEngine {
     }
 
     /**
-     * 特定位置に力を適用（ポインタ位置基準の揺れ）
-     * @param {Object} force - 力 {x, y}
-     * @param {number} posX - 正規化されたX座標（0〜1）
-     * @param {number} posY - 正規化されたY座標（0〜1）
+     * 衝撃を与える（各領域に異なるタイミングで）
+     * @param {Object} impulse - { x, y }（変位の単位）
+     * @param {Array} targets - 衝撃を与える領域のインデックス（省略時はすべて）
      */
-    applyForceAtPosition(force, posX, posY) {
-        // 押し込み状態を更新
-        this.updatePressState();
+    applyImpulse(impulse, targets = null) {
+        // 領域ごとに異なる方向と強さ（左右対の相方は元の領域のぶれを左右反転して使う）
+        const variations = this.regions.map(region => region.mirrorOf === undefined ? this.randomImpulseVariation() : null);
+        for (let i = 0; i < this.regions.length; i++) {
+            if (variations[i]) continue;
 
-        const forceX = (force.x || 0) * this.sensitivity;
-        const forceY = (force.y || 0) * this.sensitivity;
+            const sourceIndex = this.regions.findIndex(r => r.id === this.regions[i].mirrorOf);
+            const source = variations[sourceIndex];
+            variations[i] = source ? { jitter: -source.jitter, magnitude: source.magnitude } : this.randomImpulseVariation();
+        }
 
-        // 各領域に対して、ポインタ位置からの距離に応じた力を適用
-        for (const region of this.regions) {
-            const cx = region.x + region.width / 2;
-            const cy = region.y + region.height / 2;
+        for (let i = 0; i < this.regions.length; i++) {
+            if (targets && !targets.includes(i)) continue;
 
-            // ポインタ位置と領域中心の距離
-            const dx = posX - cx;
-            const dy = posY - cy;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+            const region = this.regions[i];
+            const ix = (impulse.x || 0) * region.sensitivity * 5;
+            const iy = (impulse.y || 0) * region.sensitivity * 5;
 
-            // 領域内かつ近いほど強い影響
-            const influence = this.calculateRegionInfluence(posX, posY, region);
-            if (influence > 0.01) {
-                // バネ力
-                const springForceX = -region.stiffness * region.position.x;
-                const springForceY = -region.stiffness * region.position.y;
-
-                // 減衰力
-                const dampingForceX = -region.damping * region.velocity.x;
-                const dampingForceY = -region.damping * region.velocity.y;
-
-                // 加速度（影響度に応じて力を調整）
-                const ax = (springForceX + dampingForceX + forceX * influence) / this.mass;
-                const ay = (springForceY + dampingForceY + forceY * influence) / this.mass;
-
-                // 速度更新
-                region.velocity.x += ax;
-                region.velocity.y += ay;
-
-                // 位置更新
-                region.position.x += region.velocity.x;
-                region.position.y += region.velocity.y;
-
-                // 制限
-                region.position.x = this.clamp(region.position.x, -this.maxDisplacement, this.maxDisplacement);
-                region.position.y = this.clamp(region.position.y, -this.maxDisplacement, this.maxDisplacement);
-
-                // 微小振動の抑制
-                if (Math.abs(region.position.x) < this.posThreshold && Math.abs(region.velocity.x) < this.velThreshold) {
-                    region.position.x = 0;
-                    region.velocity.x = 0;
-                }
-                if (Math.abs(region.position.y) < this.posThreshold && Math.abs(region.velocity.y) < this.velThreshold) {
-                    region.position.y = 0;
-                    region.velocity.y = 0;
-                }
+            const angle = region.phaseOffset + variations[i].jitter;
+            const magnitude = variations[i].magnitude;
+
+            // 回転を加えた衝撃
+            const rotatedX = ix * Math.cos(angle) - iy * Math.sin(angle) * 0.3;
+            const rotatedY = iy * Math.cos(angle) + ix * Math.sin(angle) * 0.3;
+
+            if (this.simulationMode === 'softbody') {
+                // ソフトボディは領域の影響度に応じて頂点を弾く
+                this.applySoftBodyImpulse(region, rotatedX * magnitude, rotatedY * magnitude);
+            } else {
+                region.velocity.x += rotatedX * magnitude;
+                region.velocity.y += rotatedY * magnitude;
             }
         }
-
-        return this.calculateVertexDisplacements();
     }
 
     /**
-     * 衝撃を与える（各領域に異なるタイミングで）
+     * ソフトボディの頂点に領域の影響度で重み付けした速度を加える
      */
-    applyImpulse(impulse) {
-        const ix = (impulse.x || 0) * this.sensitivity * 5;
-        const iy = (impulse.y || 0) * this.sensitivity * 5;
+    applySoftBodyImpulse(region, vx, vy) {
+        if (!this.isRegionActive(region, this.regions.some(r => r.solo))) return;
+
+        const influences = this.getRegionInfluences(region);
+        for (let i = 0; i < this.vertices.length; i++) {
+            const influence = Math.min(influences[i], 1);
+            if (influence > 0.001) {
+                this.vertices[i].vx += vx * influence;
+                this.vertices[i].vy += vy * influence;
+            }
+        }
+    }
 
+    /**
+     * 指定位置に影響する領域のインデックス（ミュート・ソロで外れた領域は除く）
+     * @param {number} x - 正規化X座標
+     * @param {number} y - 正規化Y座標
+     * @returns {Array}
+     */
+    getRegionIndicesAt(x, y) {
+        const soloing = this.regions.some(region => region.solo);
+        const indices = [];
         for (let i = 0; i < this.regions.length; i++) {
             const region = this.regions[i];
-
-            // 領域ごとに異なる方向と強さ
-            const angle = region.phaseOffset + Math.random() * 0.5;
-            const magnitude = 0.7 + Math.random() * 0.6;
-
-            // 回転を加えた衝撃
-            const rotatedX = ix * Math.cos(angle) - iy * Math.sin(angle) * 0.3;
-            const rotatedY = iy * Math.cos(angle) + ix * Math.sin(angle) * 0.3;
-
-            region.velocity.x += rotatedX * magnitude;
-            region.velocity.y += rotatedY * magnitude;
+            if (this.isRegionActive(region, soloing) && this.calculateRegionInfluence(x, y, region) > 0.1) {
+                indices.push(i);
+            }
         }
+        return indices;
+    }
+
+    /**
+     * 衝撃の向きと強さのぶれを乱数で決める
+     * @returns {Object} - { jitter（回転、ラジアン）, magnitude（倍率） }
+     */
+    randomImpulseVariation() {
+        return {
+            jitter: this.random() * 0.5,
+            magnitude: 0.7 + this.random() * 0.6
+        };
     }
 
     reset() {
         for (const region of this.regions) {
             region.position = { x: 0, y: 0 };
+            region.prevPosition = { x: 0, y: 0 };
             region.velocity = { x: 0, y: 0 };
+            region.rotation = 0;
+            region.prevRotation = 0;
+            region.rotationVelocity = 0;
+            region.stretch = 0;
+            region.prevStretch = 0;
+            region.stretchVelocity = 0;
         }
         for (const v of this.vertices) {
             v.dx = 0;
             v.dy = 0;
+            v.prevDx = 0;
+            v.prevDy = 0;
+            v.vx = 0;
+            v.vy = 0;
         }
         this.forceHistory = [];
+        this.pendingForce = { x: 0, y: 0 };
+        this.pendingPositionalForces = [];
+        this.autoForce = null;
+        this.gravityForce = { x: 0, y: 0 };
+        this.grabPoints.clear();
+        this.accumulator = 0;
+        this.resetRandom();
     }
 
     clamp(value, min, max) {
@@ -564,6 +1927,17 @@ class PhysicsEngine {
         return this.regions.length;
     }
 
+    /**
+     * 力の履歴の長さ（最大の遅延フレームが収まる長さ）
+     */
+    getHistoryLength() {
+        let maxDelay = 0;
+        for (const region of this.regions) {
+            maxDelay = Math.max(maxDelay, region.delayFrames);
+        }
+        return Math.max(this.historyLength, maxDelay + 1);
+    }
+
     /**
      * 物理パラメータを取得
      */
@@ -573,7 +1947,10 @@ class PhysicsEngine {
             baseDamping: this.baseDamping,
             sensitivity: this.sensitivity,
             posThreshold: this.posThreshold,
-            velThreshold: this.velThreshold
+            velThreshold: this.velThreshold,
+            seed: this.seed,
+            simulationMode: this.simulationMode,
+            press: { ...this.press }
         };
     }
 
@@ -587,12 +1964,23 @@ class PhysicsEngine {
         if (params.posThreshold !== undefined) this.posThreshold = params.posThreshold;
         if (params.velThreshold !== undefined) this.velThreshold = params.velThreshold;
 
-        // 既存の領域にも反映（dampingとstiffnessのバリエーション付き）
+        if (params.seed !== undefined) {
+            // ばらつきもシードから再計算される
+            this.setSeed(params.seed);
+        }
+
+        if (params.simulationMode !== undefined) {
+            this.setSimulationMode(params.simulationMode);
+        }
+
+        if (params.press !== undefined) {
+            this.setPressParams(params.press);
+        }
+
+        // 既存の領域にも反映（dampingとstiffnessのバリエーション付き、個別設定した値はそのまま）
         for (const region of this.regions) {
-            const stiffnessVariation = 0.7 + Math.random() * 0.6;
-            const dampingVariation = 0.95 + Math.random() * 0.1;
-            region.stiffness = this.baseStiffness * stiffnessVariation;
-            region.damping = this.baseDamping * dampingVariation;
+            this.applyBaseParams(region);
+            this.resolveRegionParams(region);
         }
     }
 
@@ -605,13 +1993,13 @@ class PhysicsEngine {
         this.sensitivity = PhysicsEngine.DEFAULTS.sensitivity;
         this.posThreshold = PhysicsEngine.DEFAULTS.posThreshold;
         this.velThreshold = PhysicsEngine.DEFAULTS.velThreshold;
+        this.setSimulationMode('region');
+        this.press = { ...PhysicsEngine.DEFAULT_PRESS };
 
-        // 既存の領域にも反映
+        // 既存の領域にも反映（個別設定した値はそのまま）
         for (const region of this.regions) {
-            const stiffnessVariation = 0.7 + Math.random() * 0.6;
-            const dampingVariation = 0.95 + Math.random() * 0.1;
-            region.stiffness = this.baseStiffness * stiffnessVariation;
-            region.damping = this.baseDamping * dampingVariation;
+            this.applyBaseParams(region);
+            this.resolveRegionParams(region);
         }
     }
 }
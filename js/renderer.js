@@ -3,6 +3,48 @@
  * 画像全体のメッシュ変形で境界をスムーズに揺らす
  */
 class Renderer {
+    // 編集ハンドルの大きさ（ピクセル）
+    static HANDLE_SIZE = 6;
+
+    // 編集ハンドルの当たり判定の半径（指でも掴めるように広め）
+    static HANDLE_HIT_RADIUS = 16;
+
+    // 回転ハンドルの楕円からの距離
+    static ROTATE_HANDLE_OFFSET = 28;
+
+    // 領域の最小サイズ（ピクセル）
+    static MIN_REGION_SIZE = 10;
+
+    // 回転時に水平・垂直へ吸着する角度
+    static ROTATE_SNAP = Math.PI / 60;
+
+    // 投げ縄で点を記録する間隔（ピクセル）
+    static LASSO_SPACING = 4;
+
+    // ブラシで塗るマスクの解像度（画像全体を縦横この数のセルに分割）
+    static MASK_RESOLUTION = 128;
+
+    // ブラシ1回分の塗りの強さ（0〜1）
+    static BRUSH_FLOW = 0.5;
+
+    // 領域の範囲とみなすマスクの最小値（0〜255）
+    static MASK_THRESHOLD = 8;
+
+    // 編集時の最大拡大率
+    static MAX_ZOOM = 8;
+
+    // 対称軸のつまみの画像上端からの距離（ピクセル）
+    static SYMMETRY_HANDLE_OFFSET = 16;
+
+    // 影響度の表示色（影響度 0 → 1 の順。間は線形補間）
+    static INFLUENCE_COLORS = [
+        [0, 0, 255],
+        [0, 255, 255],
+        [0, 255, 0],
+        [255, 255, 0],
+        [255, 0, 0]
+    ];
+
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
@@ -11,16 +53,73 @@ class Renderer {
         // 画像の描画情報
         this.imageRect = { x: 0, y: 0, width: 0, height: 0 };
 
+        // キャンバスに収めたときの画像の位置（拡大・移動の基準）
+        this.fitRect = { x: 0, y: 0, width: 0, height: 0 };
+
+        // 編集時の表示の拡大率と移動量（ピクセル）
+        this.view = { scale: 1, panX: 0, panY: 0 };
+
+        // ピンチ操作・スペース＋ドラッグでの移動の状態
+        this.pinch = null;
+        this.panDrag = null;
+        this.spacePressed = false;
+
         // 選択済み領域（複数対応）
         this.regions = [];
 
+        // 固定領域（変形させない矩形）
+        this.fixedRegions = [];
+
         // 選択中の領域
         this.selectionRect = null;
         this.isSelecting = false;
         this.selectionStart = null;
 
+        // 選択対象: 'region'（揺れ領域）, 'fixed'（固定領域）
+        this.selectionTarget = 'region';
+
+        // 揺れ領域の選択ツール: 'ellipse'（ドラッグで楕円）, 'lasso'（なぞって囲む）, 'polygon'（タップで頂点を配置）, 'brush'（マスクを塗る）
+        this.selectionTool = 'ellipse';
+
+        // ブラシ: 'add'（塗る）, 'erase'（消す）, 'feather'（ぼかす）と半径（ピクセル）
+        this.brushMode = 'add';
+        this.brushSize = 20;
+
+        // 塗り続けているマスク領域と、ストローク中の状態
+        this.activeMask = null;
+        this.brushStroke = null;
+        this.brushHover = null;
+
+        // マスク表示用のオフスクリーンキャンバス（領域 -> { canvas, color }）
+        this.maskCanvases = new WeakMap();
+
+        // 投げ縄・多角形の作成中の頂点（キャンバス座標）
+        this.lassoPoints = null;
+        this.polygonPoints = null;
+        this.polygonHover = null;
+
+        // 多角形の頂点配置・ブラシ・表示の移動に使われたタップか（App側のタップ処理を抑制する）
+        this.toolTapHandled = false;
+        this.polygonLengthBeforeTouch = 0;
+
+        // パラメータ編集中の領域インデックス（-1で未選択）
+        this.selectedRegionIndex = -1;
+
+        // ハンドルによる移動・リサイズ・回転の操作中の状態
+        this.regionEdit = null;
+
+        // 対称軸（x は画像内の正規化座標）とそのドラッグ中か
+        this.symmetry = { enabled: false, x: 0.5 };
+        this.axisDrag = false;
+
+        // 領域選択の入力を受け付けているか
+        this.selectionEnabled = false;
+
         // コールバック
         this.onRegionSelected = null;
+        this.onFixedRegionSelected = null;
+        this.onRegionChanged = null;
+        this.onRegionEditStart = null;
 
         // 領域表示フラグ
         this.showRegions = true;
@@ -28,12 +127,20 @@ class Renderer {
         // メッシュ表示フラグ
         this.showMesh = false;
 
+        // 影響度の表示フラグと、頂点ごとの影響度を返す関数（App が物理エンジンにつなぐ）
+        this.showInfluence = false;
+        this.influenceProvider = null;
+        this.influenceCanvas = null;
+
         // バインドされたイベントハンドラ
         this.boundOnSelectionStart = this.onSelectionStart.bind(this);
         this.boundOnSelectionMove = this.onSelectionMove.bind(this);
         this.boundOnSelectionEnd = this.onSelectionEnd.bind(this);
         this.boundOnTouchSelectionStart = this.onTouchSelectionStart.bind(this);
         this.boundOnTouchSelectionMove = this.onTouchSelectionMove.bind(this);
+        this.boundOnWheel = this.onWheel.bind(this);
+        this.boundOnKeyDown = this.onKeyDown.bind(this);
+        this.boundOnKeyUp = this.onKeyUp.bind(this);
     }
 
     resize() {
@@ -59,6 +166,7 @@ class Renderer {
                 const img = new Image();
                 img.onload = () => {
                     this.image = img;
+                    this.view = { scale: 1, panX: 0, panY: 0 };
                     this.calculateImageRect();
                     this.render(null);
                     resolve();
@@ -78,6 +186,7 @@ class Renderer {
     loadImageElement(img) {
         return new Promise((resolve) => {
             this.image = img;
+            this.view = { scale: 1, panX: 0, panY: 0 };
             this.calculateImageRect();
             this.render(null);
             resolve();
@@ -100,11 +209,98 @@ class Renderer {
         const x = (canvasWidth - width) / 2;
         const y = (canvasHeight - height) / 2;
 
-        this.imageRect = { x, y, width, height };
+        this.fitRect = { x, y, width, height };
+
+        // 拡大・移動を適用（画像がはみ出す方向だけ移動でき、収まる方向は中央に置く）
+        const viewWidth = width * this.view.scale;
+        const viewHeight = height * this.view.scale;
+        let viewX = x + this.view.panX;
+        let viewY = y + this.view.panY;
+
+        if (viewWidth <= canvasWidth) {
+            viewX = (canvasWidth - viewWidth) / 2;
+        } else {
+            viewX = Math.max(canvasWidth - viewWidth, Math.min(0, viewX));
+        }
+        if (viewHeight <= canvasHeight) {
+            viewY = (canvasHeight - viewHeight) / 2;
+        } else {
+            viewY = Math.max(canvasHeight - viewHeight, Math.min(0, viewY));
+        }
+
+        this.view.panX = viewX - x;
+        this.view.panY = viewY - y;
+        this.imageRect = { x: viewX, y: viewY, width: viewWidth, height: viewHeight };
+    }
+
+    /**
+     * 指定位置を中心に拡大・縮小
+     * @param {number} canvasX - 中心のキャンバス上のX座標
+     * @param {number} canvasY - 中心のキャンバス上のY座標
+     * @param {number} factor - 現在の拡大率に掛ける倍率
+     */
+    zoomAt(canvasX, canvasY, factor) {
+        if (!this.image) return;
+
+        const scale = Math.max(1, Math.min(Renderer.MAX_ZOOM, this.view.scale * factor));
+        const ratio = scale / this.view.scale;
+
+        // 中心の下にある画像上の点が動かないように移動量を調整
+        this.view.scale = scale;
+        this.view.panX = canvasX - (canvasX - this.imageRect.x) * ratio - this.fitRect.x;
+        this.view.panY = canvasY - (canvasY - this.imageRect.y) * ratio - this.fitRect.y;
+
+        this.calculateImageRect();
+        this.render(null);
+    }
+
+    /**
+     * 表示を移動
+     * @param {number} dx - X方向の移動量（ピクセル）
+     * @param {number} dy - Y方向の移動量（ピクセル）
+     */
+    panBy(dx, dy) {
+        if (!this.image) return;
+
+        this.view.panX += dx;
+        this.view.panY += dy;
+
+        this.calculateImageRect();
+        this.render(null);
+    }
+
+    /**
+     * 拡大・移動を解除して画像全体を表示
+     */
+    resetView() {
+        this.view = { scale: 1, panX: 0, panY: 0 };
+        if (!this.image) return;
+
+        this.calculateImageRect();
+        this.render(null);
+    }
+
+    /**
+     * 変位の単位（画像の短辺の1%）あたりのピクセル数
+     * @returns {number}
+     */
+    getUnitScale() {
+        return Math.min(this.imageRect.width, this.imageRect.height) / 100;
+    }
+
+    /**
+     * 画面上のピクセル量を変位の単位に換算
+     * @param {Object} vector - ピクセル量 { x, y }
+     * @returns {Object} - 変位の単位での量 { x, y }
+     */
+    pixelsToUnits(vector) {
+        const scale = this.getUnitScale();
+        if (scale <= 0) return { x: 0, y: 0 };
+        return { x: vector.x / scale, y: vector.y / scale };
     }
 
     /**
-     * クライアント座標を正規化座標（0〜1）に変換
+     * クライアント座標を正規化座標（0〜1）に変換（表示の拡大・移動を考慮）
      * @param {number} clientX - クライアントX座標
      * @param {number} clientY - クライアントY座標
      * @returns {Object} - 正規化された座標 { x, y }
@@ -154,6 +350,11 @@ class Renderer {
             this.renderWithMeshDeformation(displacements);
         }
 
+        // 影響度のヒートマップを表示
+        if (this.showInfluence && this.influenceProvider) {
+            this.drawInfluenceMap(this.influenceProvider());
+        }
+
         // メッシュグリッドを表示
         if (this.showMesh && displacements) {
             this.drawMeshGrid(displacements);
@@ -161,6 +362,7 @@ class Renderer {
 
         // 選択済み領域を表示
         if (this.showRegions) {
+            this.drawFixedRegions();
             this.drawRegions();
         }
 
@@ -168,6 +370,42 @@ class Renderer {
         if (this.selectionRect) {
             this.drawSelectionRect();
         }
+        if (this.lassoPoints || this.polygonPoints) {
+            this.drawSelectionPath();
+        }
+        if (this.brushHover && this.getSelectionShape() === 'brush') {
+            this.drawBrushCursor();
+        }
+        if (this.symmetry.enabled && this.selectionEnabled) {
+            this.drawSymmetryAxis();
+        }
+    }
+
+    /**
+     * 対称軸とドラッグ用のつまみを表示
+     */
+    drawSymmetryAxis() {
+        const { y: imgY, height: imgH } = this.imageRect;
+        const handle = this.getSymmetryHandle();
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(247, 183, 49, 0.9)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([8, 6]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(handle.x, imgY);
+        this.ctx.lineTo(handle.x, imgY + imgH);
+        this.ctx.stroke();
+
+        this.ctx.setLineDash([]);
+        this.ctx.fillStyle = '#f7b731';
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(handle.x, handle.y, Renderer.HANDLE_SIZE + 2, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.restore();
     }
 
     /**
@@ -175,6 +413,7 @@ class Renderer {
      */
     renderWithMeshDeformation(displacements) {
         const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+        const unit = this.getUnitScale();
 
         // グリッドサイズを計算（縦横別）
         // displacementsから推測: 頂点数 = (gridSizeX + 1) * (gridSizeY + 1)
@@ -215,15 +454,15 @@ class Renderer {
                 const sx11 = v11.x * this.image.width;
                 const sy11 = v11.y * this.image.height;
 
-                // 描画先座標（変位を適用）
-                const dx00 = imgX + v00.x * imgW + v00.dx;
-                const dy00 = imgY + v00.y * imgH + v00.dy;
-                const dx10 = imgX + v10.x * imgW + v10.dx;
-                const dy10 = imgY + v10.y * imgH + v10.dy;
-                const dx01 = imgX + v01.x * imgW + v01.dx;
-                const dy01 = imgY + v01.y * imgH + v01.dy;
-                const dx11 = imgX + v11.x * imgW + v11.dx;
-                const dy11 = imgY + v11.y * imgH + v11.dy;
+                // 描画先座標（変位をピクセルに換算して適用）
+                const dx00 = imgX + v00.x * imgW + v00.dx * unit;
+                const dy00 = imgY + v00.y * imgH + v00.dy * unit;
+                const dx10 = imgX + v10.x * imgW + v10.dx * unit;
+                const dy10 = imgY + v10.y * imgH + v10.dy * unit;
+                const dx01 = imgX + v01.x * imgW + v01.dx * unit;
+                const dy01 = imgY + v01.y * imgH + v01.dy * unit;
+                const dx11 = imgX + v11.x * imgW + v11.dx * unit;
+                const dy11 = imgY + v11.y * imgH + v11.dy * unit;
 
                 // 上三角形
                 this.drawTexturedTriangle(
@@ -303,29 +542,245 @@ class Renderer {
      * 選択済み領域を表示
      */
     drawRegions() {
-        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+        const soloing = this.regions.some(region => region.solo);
+
+        this.drawRegionLinks();
 
         for (let i = 0; i < this.regions.length; i++) {
             const region = this.regions[i];
+            const { cx, cy, rx, ry, angle } = this.getRegionEllipse(region);
+
+            // ミュート中・ソロ以外の領域は薄い点線
+            const active = !region.muted && (!soloing || region.solo);
+            this.ctx.save();
+            if (!active) this.ctx.globalAlpha = 0.4;
+
+            // 楕円または多角形で表示（編集中の領域はピンク）
+            const color = i === this.selectedRegionIndex ? '#e94560' : '#4ecdc4';
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = i === this.selectedRegionIndex ? 3 : 2;
+            this.ctx.setLineDash(active ? [] : [4, 4]);
+
+            if (region.shape === 'mask') {
+                // マスクは塗った重みを半透明で表示
+                this.drawMask(region, color);
+                if (region.width === 0) {
+                    this.ctx.restore();
+                    continue;
+                }
+            } else {
+                this.ctx.beginPath();
+                if (region.shape === 'polygon') {
+                    this.tracePolygon(region.points.map(p => this.normalizedToCanvas(p)));
+                } else {
+                    this.ctx.ellipse(cx, cy, rx, ry, angle, 0, Math.PI * 2);
+                }
+                this.ctx.stroke();
+            }
+
+            // 番号表示
+            this.ctx.fillStyle = color;
+            this.ctx.font = 'bold 16px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`${i + 1}`, cx, cy + 6);
+            this.ctx.restore();
+        }
+
+        // 塗り始めたばかりのマスク（まだ領域に追加されていない）
+        if (this.brushStroke && this.brushStroke.isNew) {
+            this.drawMask(this.brushStroke.region, '#e94560');
+        }
+
+        // 編集中の領域にハンドルを表示（マスクはブラシで編集する）
+        const selected = this.regions[this.selectedRegionIndex];
+        if (selected && selected.shape !== 'mask') {
+            this.drawRegionHandles(selected);
+        }
+    }
+
+    /**
+     * マスクを画像に重ねて表示
+     * @param {Object} region - マスク領域
+     * @param {string} color - 表示色（#rrggbb）
+     */
+    drawMask(region, color) {
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        this.ctx.save();
+        this.ctx.globalAlpha *= 0.45;
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(this.getMaskCanvas(region, color), imgX, imgY, imgW, imgH);
+        this.ctx.restore();
+    }
+
+    /**
+     * マスクの重みを透明度にしたオフスクリーンキャンバスを取得
+     * @param {Object} region - マスク領域
+     * @param {string} color - 表示色（#rrggbb）
+     * @returns {HTMLCanvasElement}
+     */
+    getMaskCanvas(region, color) {
+        const cached = this.maskCanvases.get(region);
+        if (cached && cached.color === color) return cached.canvas;
+
+        const { cols, rows, data } = region.mask;
+        const canvas = document.createElement('canvas');
+        canvas.width = cols;
+        canvas.height = rows;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(cols, rows);
+        const r = parseInt(color.slice(1, 3), 16);
+        const g = parseInt(color.slice(3, 5), 16);
+        const b = parseInt(color.slice(5, 7), 16);
+        for (let i = 0; i < data.length; i++) {
+            image.data[i * 4] = r;
+            image.data[i * 4 + 1] = g;
+            image.data[i * 4 + 2] = b;
+            image.data[i * 4 + 3] = data[i];
+        }
+        ctx.putImageData(image, 0, 0);
+
+        this.maskCanvases.set(region, { canvas, color });
+        return canvas;
+    }
+
+    /**
+     * ブラシの範囲を表示
+     */
+    drawBrushCursor() {
+        const { x, y } = this.brushHover;
+
+        this.ctx.strokeStyle = this.brushMode === 'erase' ? '#ffffff' : '#e94560';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash(this.brushMode === 'feather' ? [3, 3] : []);
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, this.brushSize, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 領域どうしのつながりを中心どうしを結ぶ線で表示
+     * ばねは黄色の点線、親子は親から子への紫の線（子の側に丸）
+     */
+    drawRegionLinks() {
+        const centers = new Map();
+        for (const region of this.regions) {
+            if (region.id === undefined || region.width === 0) continue;
+            const { cx, cy } = this.getRegionEllipse(region);
+            centers.set(region.id, { x: cx, y: cy });
+        }
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(247, 183, 49, 0.8)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([2, 4]);
+        for (const region of this.regions) {
+            if (!region.links) continue;
+
+            const from = centers.get(region.id);
+            for (const link of region.links) {
+                const to = centers.get(link.target);
+                if (!from || !to) continue;
+
+                this.ctx.beginPath();
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.lineTo(to.x, to.y);
+                this.ctx.stroke();
+            }
+        }
+
+        this.ctx.strokeStyle = 'rgba(165, 94, 234, 0.9)';
+        this.ctx.fillStyle = 'rgba(165, 94, 234, 0.9)';
+        this.ctx.setLineDash([]);
+        for (const region of this.regions) {
+            if (region.parent === undefined) continue;
+
+            const parent = centers.get(region.parent);
+            const child = centers.get(region.id);
+            if (!parent || !child) continue;
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(parent.x, parent.y);
+            this.ctx.lineTo(child.x, child.y);
+            this.ctx.stroke();
+            this.ctx.beginPath();
+            this.ctx.arc(child.x, child.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * 移動・リサイズ・回転用のハンドルを表示
+     * @param {Object} region - 正規化された領域
+     */
+    drawRegionHandles(region) {
+        const handles = this.getRegionHandles(region);
+        const size = Renderer.HANDLE_SIZE;
+
+        // 多角形はハンドルが乗る枠を点線で表示
+        if (region.shape === 'polygon') {
+            const { cx, cy, rx, ry, angle } = this.getRegionEllipse(region);
+            this.ctx.save();
+            this.ctx.translate(cx, cy);
+            this.ctx.rotate(angle);
+            this.ctx.strokeStyle = 'rgba(233, 69, 96, 0.6)';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.strokeRect(-rx, -ry, rx * 2, ry * 2);
+            this.ctx.restore();
+        }
+
+        // 回転ハンドルへの補助線
+        this.ctx.strokeStyle = '#e94560';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(handles.top.x, handles.top.y);
+        this.ctx.lineTo(handles.rotate.x, handles.rotate.y);
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        for (const [name, pos] of Object.entries(handles)) {
+            this.ctx.beginPath();
+            if (name === 'rotate') {
+                this.ctx.arc(pos.x, pos.y, size, 0, Math.PI * 2);
+            } else {
+                this.ctx.rect(pos.x - size, pos.y - size, size * 2, size * 2);
+            }
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * 固定領域を表示
+     */
+    drawFixedRegions() {
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        for (const region of this.fixedRegions) {
             const rx = imgX + region.x * imgW;
             const ry = imgY + region.y * imgH;
             const rw = region.width * imgW;
             const rh = region.height * imgH;
 
-            // 楕円で表示
-            this.ctx.strokeStyle = '#4ecdc4';
+            // 矩形・黄色で表示
+            this.ctx.fillStyle = 'rgba(247, 183, 49, 0.15)';
+            this.ctx.fillRect(rx, ry, rw, rh);
+
+            this.ctx.strokeStyle = '#f7b731';
             this.ctx.lineWidth = 2;
             this.ctx.setLineDash([]);
+            this.ctx.strokeRect(rx, ry, rw, rh);
 
-            this.ctx.beginPath();
-            this.ctx.ellipse(rx + rw/2, ry + rh/2, rw/2, rh/2, 0, 0, Math.PI * 2);
-            this.ctx.stroke();
-
-            // 番号表示
-            this.ctx.fillStyle = '#4ecdc4';
-            this.ctx.font = 'bold 16px sans-serif';
+            this.ctx.fillStyle = '#f7b731';
+            this.ctx.font = 'bold 12px sans-serif';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(`${i + 1}`, rx + rw/2, ry + rh/2 + 6);
+            this.ctx.fillText('固定', rx + rw/2, ry + rh/2 + 4);
         }
     }
 
@@ -334,7 +789,21 @@ class Renderer {
 
         const { x, y, width, height } = this.selectionRect;
 
-        // 揺れ領域選択中は楕円・ピンク
+        // 固定領域選択中は矩形・黄色
+        if (this.selectionTarget === 'fixed') {
+            this.ctx.strokeStyle = '#f7b731';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.strokeRect(x, y, width, height);
+
+            this.ctx.fillStyle = 'rgba(247, 183, 49, 0.2)';
+            this.ctx.fillRect(x, y, width, height);
+
+            this.ctx.setLineDash([]);
+            return;
+        }
+
+        // 揺れ領域選択中は楕円・ピンク（作成時は回転なし、作成後にハンドルで回転）
         this.ctx.strokeStyle = '#e94560';
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]);
@@ -349,7 +818,60 @@ class Renderer {
         this.ctx.setLineDash([]);
     }
 
+    /**
+     * 作成中の投げ縄・多角形を描画
+     */
+    drawSelectionPath() {
+        const points = this.lassoPoints || this.polygonPoints;
+
+        this.ctx.strokeStyle = '#e94560';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([5, 5]);
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
+        }
+        // 多角形はカーソル位置までの辺も表示
+        if (this.polygonPoints && this.polygonHover) {
+            this.ctx.lineTo(this.polygonHover.x, this.polygonHover.y);
+        }
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = 'rgba(233, 69, 96, 0.2)';
+        this.ctx.fill();
+        this.ctx.setLineDash([]);
+
+        // 多角形の頂点（最初の点をタップすると閉じる）
+        if (this.polygonPoints) {
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.strokeStyle = '#e94560';
+            for (let i = 0; i < points.length; i++) {
+                const radius = i === 0 ? Renderer.HANDLE_SIZE : Renderer.HANDLE_SIZE / 2;
+                this.ctx.beginPath();
+                this.ctx.arc(points[i].x, points[i].y, radius, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * 頂点列のパスを作成（beginPath は呼び出し側で行う）
+     * @param {Array} points - キャンバス座標の頂点 [{ x, y }]
+     */
+    tracePolygon(points) {
+        this.ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
+        }
+        this.ctx.closePath();
+    }
+
     enableSelection() {
+        this.selectionEnabled = true;
+
         this.canvas.addEventListener('mousedown', this.boundOnSelectionStart);
         this.canvas.addEventListener('mousemove', this.boundOnSelectionMove);
         this.canvas.addEventListener('mouseup', this.boundOnSelectionEnd);
@@ -357,9 +879,16 @@ class Renderer {
         this.canvas.addEventListener('touchstart', this.boundOnTouchSelectionStart);
         this.canvas.addEventListener('touchmove', this.boundOnTouchSelectionMove);
         this.canvas.addEventListener('touchend', this.boundOnSelectionEnd);
+
+        // 拡大・移動
+        this.canvas.addEventListener('wheel', this.boundOnWheel, { passive: false });
+        document.addEventListener('keydown', this.boundOnKeyDown);
+        document.addEventListener('keyup', this.boundOnKeyUp);
     }
 
     disableSelection() {
+        this.selectionEnabled = false;
+
         this.canvas.removeEventListener('mousedown', this.boundOnSelectionStart);
         this.canvas.removeEventListener('mousemove', this.boundOnSelectionMove);
         this.canvas.removeEventListener('mouseup', this.boundOnSelectionEnd);
@@ -367,78 +896,745 @@ class Renderer {
         this.canvas.removeEventListener('touchstart', this.boundOnTouchSelectionStart);
         this.canvas.removeEventListener('touchmove', this.boundOnTouchSelectionMove);
         this.canvas.removeEventListener('touchend', this.boundOnSelectionEnd);
+
+        this.canvas.removeEventListener('wheel', this.boundOnWheel);
+        document.removeEventListener('keydown', this.boundOnKeyDown);
+        document.removeEventListener('keyup', this.boundOnKeyUp);
+        this.spacePressed = false;
+        this.canvas.style.cursor = '';
+
+        this.cancelPolygon();
     }
 
-    onSelectionStart(event) {
+    /**
+     * ホイールで拡大・縮小
+     */
+    onWheel(event) {
+        event.preventDefault();
+
         const rect = this.canvas.getBoundingClientRect();
-        this.isSelecting = true;
-        this.selectionStart = {
-            x: event.clientX - rect.left,
-            y: event.clientY - rect.top
-        };
-        this.selectionRect = null;
+        this.zoomAt(event.clientX - rect.left, event.clientY - rect.top, Math.exp(-event.deltaY * 0.0015));
     }
 
-    onTouchSelectionStart(event) {
-        if (event.touches.length === 0) return;
+    /**
+     * スペースキーを押している間はドラッグで表示を移動
+     */
+    onKeyDown(event) {
+        if (event.code !== 'Space' || event.target instanceof HTMLInputElement) return;
         event.preventDefault();
 
-        const rect = this.canvas.getBoundingClientRect();
-        this.isSelecting = true;
-        this.selectionStart = {
-            x: event.touches[0].clientX - rect.left,
-            y: event.touches[0].clientY - rect.top
-        };
-        this.selectionRect = null;
+        this.spacePressed = true;
+        this.canvas.style.cursor = 'grab';
     }
 
-    onSelectionMove(event) {
-        if (!this.isSelecting || !this.selectionStart) return;
+    onKeyUp(event) {
+        if (event.code !== 'Space') return;
+        if (this.spacePressed) event.preventDefault();
+
+        this.spacePressed = false;
+        this.canvas.style.cursor = '';
+    }
 
+    onSelectionStart(event) {
         const rect = this.canvas.getBoundingClientRect();
-        const currentX = event.clientX - rect.left;
-        const currentY = event.clientY - rect.top;
+        const startX = event.clientX - rect.left;
+        const startY = event.clientY - rect.top;
 
-        this.updateSelectionRect(currentX, currentY);
+        // スペース＋ドラッグは表示の移動
+        if (this.spacePressed) {
+            this.toolTapHandled = true;
+            this.panDrag = { x: startX, y: startY };
+            return;
+        }
+
+        this.beginSelection(startX, startY);
     }
 
-    onTouchSelectionMove(event) {
-        if (!this.isSelecting || !this.selectionStart) return;
+    onTouchSelectionStart(event) {
         if (event.touches.length === 0) return;
         event.preventDefault();
 
-        const rect = this.canvas.getBoundingClientRect();
-        const currentX = event.touches[0].clientX - rect.left;
-        const currentY = event.touches[0].clientY - rect.top;
+        // 2本指はピンチで拡大・縮小と移動
+        if (event.touches.length >= 2) {
+            this.beginPinch(event.touches);
+            return;
+        }
+        if (this.pinch) return;
 
-        this.updateSelectionRect(currentX, currentY);
+        const rect = this.canvas.getBoundingClientRect();
+        this.polygonLengthBeforeTouch = this.polygonPoints ? this.polygonPoints.length : 0;
+        this.beginSelection(event.touches[0].clientX - rect.left, event.touches[0].clientY - rect.top);
     }
 
-    updateSelectionRect(currentX, currentY) {
-        const x = Math.min(this.selectionStart.x, currentX);
-        const y = Math.min(this.selectionStart.y, currentY);
-        const width = Math.abs(currentX - this.selectionStart.x);
-        const height = Math.abs(currentY - this.selectionStart.y);
-
+    /**
+     * ピンチ操作を開始（1本目の指で始めた操作は終える）
+     * @param {TouchList} touches - 画面上のタッチ
+     */
+    beginPinch(touches) {
+        if (this.regionEdit) this.endRegionEdit();
+        if (this.brushStroke) this.endBrushStroke();
+
+        this.isSelecting = false;
+        this.selectionRect = null;
+        this.lassoPoints = null;
+
+        // 1本目の指で置いた多角形の頂点は取り消す
+        if (this.polygonPoints) {
+            this.polygonPoints.length = this.polygonLengthBeforeTouch;
+            if (this.polygonPoints.length === 0) this.polygonPoints = null;
+        }
+
+        this.pinch = this.getPinchState(touches);
+        this.render(null);
+    }
+
+    /**
+     * 2本指の中心と間隔を取得
+     * @param {TouchList} touches - 画面上のタッチ
+     * @returns {Object} - { x, y, distance }（キャンバス座標）
+     */
+    getPinchState(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x0 = touches[0].clientX - rect.left;
+        const y0 = touches[0].clientY - rect.top;
+        const x1 = touches[1].clientX - rect.left;
+        const y1 = touches[1].clientY - rect.top;
+
+        return {
+            x: (x0 + x1) / 2,
+            y: (y0 + y1) / 2,
+            distance: Math.max(1, Math.sqrt((x1 - x0) ** 2 + (y1 - y0) ** 2))
+        };
+    }
+
+    /**
+     * ピンチで拡大・縮小し、2本指の中心の移動に合わせて表示を移動
+     * @param {TouchList} touches - 画面上のタッチ
+     */
+    updatePinch(touches) {
+        const next = this.getPinchState(touches);
+
+        this.view.panX += next.x - this.pinch.x;
+        this.view.panY += next.y - this.pinch.y;
+        this.calculateImageRect();
+        this.zoomAt(next.x, next.y, next.distance / this.pinch.distance);
+
+        this.pinch = next;
+    }
+
+    /**
+     * 押下位置から変形・多角形の頂点配置・ドラッグ選択のいずれかを開始
+     * @param {number} startX - キャンバス上のX座標
+     * @param {number} startY - キャンバス上のY座標
+     */
+    beginSelection(startX, startY) {
+        // 対称軸のつまみは他の操作より優先
+        if (this.symmetry.enabled && this.hitTestSymmetryHandle(startX, startY)) {
+            this.toolTapHandled = true;
+            this.axisDrag = true;
+            return;
+        }
+
+        // 多角形の作成中はタップで頂点を追加
+        if (this.polygonPoints) {
+            this.addPolygonPoint(startX, startY);
+            return;
+        }
+
+        // ブラシは常にマスクを塗る
+        if (this.getSelectionShape() === 'brush') {
+            this.beginBrushStroke(startX, startY);
+            return;
+        }
+
+        // 編集中の領域のハンドルや本体を掴んだ場合は選択ではなく変形
+        if (this.beginRegionEdit(startX, startY)) return;
+
+        const shape = this.getSelectionShape();
+        if (shape === 'polygon') {
+            // 既存の領域のタップは選択に使う
+            if (this.hitTestRegion(startX, startY) < 0) {
+                this.addPolygonPoint(startX, startY);
+            }
+            return;
+        }
+
+        this.isSelecting = true;
+        this.selectionStart = { x: startX, y: startY };
+        this.selectionRect = null;
+        this.lassoPoints = shape === 'lasso' ? [{ x: startX, y: startY }] : null;
+    }
+
+    onSelectionMove(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const currentX = event.clientX - rect.left;
+        const currentY = event.clientY - rect.top;
+
+        if (this.panDrag) {
+            this.panBy(currentX - this.panDrag.x, currentY - this.panDrag.y);
+            this.panDrag = { x: currentX, y: currentY };
+            return;
+        }
+        if (this.axisDrag) {
+            this.moveSymmetryAxis(currentX);
+            return;
+        }
+        if (this.regionEdit) {
+            this.updateRegionEdit(currentX, currentY);
+            return;
+        }
+        if (this.polygonPoints) {
+            this.polygonHover = { x: currentX, y: currentY };
+            this.render(null);
+            return;
+        }
+        if (this.getSelectionShape() === 'brush') {
+            this.brushHover = { x: currentX, y: currentY };
+            if (this.brushStroke) {
+                this.continueBrushStroke(currentX, currentY);
+            } else {
+                this.render(null);
+            }
+            return;
+        }
+        if (!this.isSelecting || !this.selectionStart) return;
+
+        this.updateSelectionRect(currentX, currentY);
+    }
+
+    onTouchSelectionMove(event) {
+        if (this.pinch) {
+            event.preventDefault();
+            if (event.touches.length >= 2) {
+                this.updatePinch(event.touches);
+            }
+            return;
+        }
+        if (!this.axisDrag && !this.regionEdit && !this.brushStroke && (!this.isSelecting || !this.selectionStart)) return;
+        if (event.touches.length === 0) return;
+        event.preventDefault();
+
+        const rect = this.canvas.getBoundingClientRect();
+        const currentX = event.touches[0].clientX - rect.left;
+        const currentY = event.touches[0].clientY - rect.top;
+
+        if (this.axisDrag) {
+            this.moveSymmetryAxis(currentX);
+            return;
+        }
+
+        if (this.regionEdit) {
+            this.updateRegionEdit(currentX, currentY);
+            return;
+        }
+        if (this.brushStroke) {
+            this.continueBrushStroke(currentX, currentY);
+            return;
+        }
+        this.updateSelectionRect(currentX, currentY);
+    }
+
+    updateSelectionRect(currentX, currentY) {
+        if (this.lassoPoints) {
+            this.addLassoPoint(currentX, currentY);
+            return;
+        }
+
+        const x = Math.min(this.selectionStart.x, currentX);
+        const y = Math.min(this.selectionStart.y, currentY);
+        const width = Math.abs(currentX - this.selectionStart.x);
+        const height = Math.abs(currentY - this.selectionStart.y);
+
         this.selectionRect = { x, y, width, height };
         this.render(null);
     }
 
-    onSelectionEnd() {
+    onSelectionEnd(event) {
+        // ピンチはすべての指が離れるまで続ける
+        if (this.pinch) {
+            if (!event || !event.touches || event.touches.length === 0) {
+                this.pinch = null;
+            }
+            return;
+        }
+        if (this.panDrag) {
+            this.panDrag = null;
+            return;
+        }
+        if (this.axisDrag) {
+            this.axisDrag = false;
+            return;
+        }
+        if (this.regionEdit) {
+            this.endRegionEdit();
+            return;
+        }
+        if (this.brushStroke) {
+            this.endBrushStroke();
+            return;
+        }
         if (!this.isSelecting) return;
         this.isSelecting = false;
 
-        if (this.selectionRect && this.selectionRect.width > 10 && this.selectionRect.height > 10) {
+        if (this.lassoPoints) {
+            const points = this.lassoPoints;
+            this.lassoPoints = null;
+            this.finishShape(points);
+            return;
+        }
+
+        const minSize = Renderer.MIN_REGION_SIZE;
+        if (this.selectionRect && this.selectionRect.width > minSize && this.selectionRect.height > minSize) {
             const normalizedRegion = this.pixelToNormalized(this.selectionRect);
 
-            if (this.onRegionSelected) {
-                this.onRegionSelected(normalizedRegion);
+            if (this.selectionTarget === 'fixed') {
+                if (this.onFixedRegionSelected) {
+                    this.onFixedRegionSelected(normalizedRegion);
+                }
+            } else if (this.onRegionSelected) {
+                // 揺れ領域は回転なしの楕円として作成
+                this.onRegionSelected({ ...normalizedRegion, shape: 'ellipse', angle: 0 });
             }
         }
 
         this.selectionRect = null;
     }
 
+    /**
+     * 現在の選択で作成される形状
+     * @returns {string} - 'rect'（固定領域）, 'ellipse', 'lasso', 'polygon', 'brush'
+     */
+    getSelectionShape() {
+        return this.selectionTarget === 'fixed' ? 'rect' : this.selectionTool;
+    }
+
+    /**
+     * 投げ縄の点を追加（一定間隔ごと）
+     * @param {number} x - キャンバス上のX座標
+     * @param {number} y - キャンバス上のY座標
+     */
+    addLassoPoint(x, y) {
+        const last = this.lassoPoints[this.lassoPoints.length - 1];
+        const distance = Math.sqrt((x - last.x) ** 2 + (y - last.y) ** 2);
+        if (distance < Renderer.LASSO_SPACING) return;
+
+        this.lassoPoints.push({ x, y });
+        this.render(null);
+    }
+
+    /**
+     * 多角形の頂点を追加（最初の頂点をタップしたら閉じる）
+     * @param {number} x - キャンバス上のX座標
+     * @param {number} y - キャンバス上のY座標
+     */
+    addPolygonPoint(x, y) {
+        this.toolTapHandled = true;
+
+        if (!this.polygonPoints) {
+            this.polygonPoints = [{ x, y }];
+            this.render(null);
+            return;
+        }
+
+        const first = this.polygonPoints[0];
+        const distance = Math.sqrt((x - first.x) ** 2 + (y - first.y) ** 2);
+        if (distance <= Renderer.HANDLE_HIT_RADIUS && this.polygonPoints.length >= 3) {
+            const points = this.polygonPoints;
+            this.polygonPoints = null;
+            this.polygonHover = null;
+            this.finishShape(points);
+            return;
+        }
+
+        this.polygonPoints.push({ x, y });
+        this.render(null);
+    }
+
+    /**
+     * 作成中の多角形を破棄
+     */
+    cancelPolygon() {
+        if (!this.polygonPoints) return;
+
+        this.polygonPoints = null;
+        this.polygonHover = null;
+        this.render(null);
+    }
+
+    /**
+     * 多角形の頂点配置・ブラシ・表示の移動に使われたタップかを取得して解除
+     * 作成中の多角形があるタップやピンチ中のタップも含む
+     * @returns {boolean}
+     */
+    consumeToolTap() {
+        const handled = this.toolTapHandled || this.polygonPoints !== null || this.pinch !== null;
+        this.toolTapHandled = false;
+        return handled;
+    }
+
+    /**
+     * ブラシのストロークを開始
+     * 選択中のマスク、なければこのブラシで塗っていたマスクに塗る。どちらもなければ新しいマスクを作る
+     * @param {number} x - キャンバス上のX座標
+     * @param {number} y - キャンバス上のY座標
+     */
+    beginBrushStroke(x, y) {
+        this.toolTapHandled = true;
+
+        let region = this.regions[this.selectedRegionIndex];
+        if (!region || region.shape !== 'mask') {
+            region = this.regions.includes(this.activeMask) ? this.activeMask : null;
+        }
+
+        let isNew = false;
+        if (!region) {
+            // 消す・ぼかすだけでは新しいマスクは作らない
+            if (this.brushMode !== 'add') return;
+            region = this.createMaskRegion();
+            isNew = true;
+        } else if (this.onRegionEditStart) {
+            this.onRegionEditStart(this.regions.indexOf(region));
+        }
+
+        this.activeMask = region;
+        this.brushStroke = { region, isNew, last: { x, y } };
+        this.brushHover = { x, y };
+        this.paintMask(region, x, y);
+        this.render(null);
+    }
+
+    /**
+     * 前回の位置から現在位置までブラシで塗る
+     * @param {number} x - キャンバス上のX座標
+     * @param {number} y - キャンバス上のY座標
+     */
+    continueBrushStroke(x, y) {
+        const { region, last } = this.brushStroke;
+
+        // 速く動かしても途切れないように間を補間
+        const distance = Math.sqrt((x - last.x) ** 2 + (y - last.y) ** 2);
+        const spacing = Math.max(1, this.brushSize / 4);
+        const steps = Math.ceil(distance / spacing);
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            this.paintMask(region, last.x + (x - last.x) * t, last.y + (y - last.y) * t);
+        }
+
+        this.brushStroke.last = { x, y };
+        this.brushHover = { x, y };
+        this.render(null);
+    }
+
+    /**
+     * ブラシのストロークを終了して通知
+     */
+    endBrushStroke() {
+        const { region, isNew } = this.brushStroke;
+        this.brushStroke = null;
+
+        this.updateMaskBounds(region);
+        if (isNew) {
+            if (region.width > 0 && this.onRegionSelected) {
+                this.onRegionSelected(region);
+            }
+        } else if (this.onRegionChanged) {
+            this.onRegionChanged(this.regions.indexOf(region));
+        }
+        this.render(null);
+    }
+
+    /**
+     * 空のマスク領域を作成
+     * @returns {Object} - マスク領域（mask.data は 0〜255 の重み）
+     */
+    createMaskRegion() {
+        const size = Renderer.MASK_RESOLUTION;
+
+        return {
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            angle: 0,
+            shape: 'mask',
+            mask: { cols: size, rows: size, data: new Uint8Array(size * size) }
+        };
+    }
+
+    /**
+     * 指定位置にブラシを1回押し当ててマスクを更新
+     * @param {Object} region - マスク領域
+     * @param {number} canvasX - キャンバス上のX座標
+     * @param {number} canvasY - キャンバス上のY座標
+     */
+    paintMask(region, canvasX, canvasY) {
+        const { cols, rows, data } = region.mask;
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        // ブラシの中心と半径をマスクのセル単位に換算
+        const cx = (canvasX - imgX) / imgW * cols;
+        const cy = (canvasY - imgY) / imgH * rows;
+        const rx = this.brushSize / imgW * cols;
+        const ry = this.brushSize / imgH * rows;
+
+        const x0 = Math.max(0, Math.floor(cx - rx));
+        const x1 = Math.min(cols - 1, Math.ceil(cx + rx));
+        const y0 = Math.max(0, Math.floor(cy - ry));
+        const y1 = Math.min(rows - 1, Math.ceil(cy + ry));
+
+        for (let gy = y0; gy <= y1; gy++) {
+            for (let gx = x0; gx <= x1; gx++) {
+                const dx = (gx + 0.5 - cx) / rx;
+                const dy = (gy + 0.5 - cy) / ry;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist >= 1) continue;
+
+                // 中心ほど強い柔らかいブラシ
+                const t = 1 - dist;
+                const weight = t * t * (3 - 2 * t) * Renderer.BRUSH_FLOW;
+                const i = gy * cols + gx;
+
+                if (this.brushMode === 'add') {
+                    data[i] = Math.round(data[i] + (255 - data[i]) * weight);
+                } else if (this.brushMode === 'erase') {
+                    data[i] = Math.round(data[i] * (1 - weight));
+                } else {
+                    // 周囲の平均に近づけて境界をぼかす
+                    let sum = 0;
+                    let count = 0;
+                    for (let ny = Math.max(0, gy - 1); ny <= Math.min(rows - 1, gy + 1); ny++) {
+                        for (let nx = Math.max(0, gx - 1); nx <= Math.min(cols - 1, gx + 1); nx++) {
+                            sum += data[ny * cols + nx];
+                            count++;
+                        }
+                    }
+                    data[i] = Math.round(data[i] + (sum / count - data[i]) * weight);
+                }
+            }
+        }
+
+        this.maskCanvases.delete(region);
+    }
+
+    /**
+     * マスクの塗られた範囲を領域の x, y, width, height に反映（なければ0）
+     * @param {Object} region - マスク領域
+     */
+    updateMaskBounds(region) {
+        const { cols, rows, data } = region.mask;
+        let minX = cols;
+        let minY = rows;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let gy = 0; gy < rows; gy++) {
+            for (let gx = 0; gx < cols; gx++) {
+                if (data[gy * cols + gx] < Renderer.MASK_THRESHOLD) continue;
+                minX = Math.min(minX, gx);
+                maxX = Math.max(maxX, gx);
+                minY = Math.min(minY, gy);
+                maxY = Math.max(maxY, gy);
+            }
+        }
+
+        if (maxX < 0) {
+            region.x = 0;
+            region.y = 0;
+            region.width = 0;
+            region.height = 0;
+            return;
+        }
+
+        region.x = minX / cols;
+        region.y = minY / rows;
+        region.width = (maxX + 1 - minX) / cols;
+        region.height = (maxY + 1 - minY) / rows;
+    }
+
+    /**
+     * 投げ縄・多角形の頂点列から揺れ領域を作成
+     * @param {Array} points - キャンバス座標の頂点 [{ x, y }]
+     */
+    finishShape(points) {
+        const region = this.pointsToRegion(points);
+        if (region && this.onRegionSelected) {
+            this.onRegionSelected(region);
+        }
+        this.render(null);
+    }
+
+    /**
+     * キャンバス座標の頂点列を多角形の領域に変換
+     * x, y, width, height は頂点を囲む枠（ハンドルによる変形の基準）
+     * @param {Array} points - キャンバス座標の頂点 [{ x, y }]
+     * @returns {Object|null} - 正規化された領域、小さすぎる場合はnull
+     */
+    pointsToRegion(points) {
+        if (points.length < 3) return null;
+
+        const normalized = points.map(p => this.canvasToNormalized(p.x, p.y));
+        const xs = normalized.map(p => p.x);
+        const ys = normalized.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        const width = Math.max(...xs) - x;
+        const height = Math.max(...ys) - y;
+
+        const minSize = Renderer.MIN_REGION_SIZE;
+        if (width * this.imageRect.width <= minSize || height * this.imageRect.height <= minSize) {
+            return null;
+        }
+
+        return { x, y, width, height, angle: 0, shape: 'polygon', points: normalized };
+    }
+
+    /**
+     * 対称軸のつまみの位置（画像の上端付近、画面外なら画面の上端付近）
+     * @returns {Object} - キャンバス座標 { x, y }
+     */
+    getSymmetryHandle() {
+        const { x: imgX, y: imgY, width: imgW } = this.imageRect;
+
+        return {
+            x: imgX + this.symmetry.x * imgW,
+            y: Math.max(imgY, 0) + Renderer.SYMMETRY_HANDLE_OFFSET
+        };
+    }
+
+    /**
+     * 対称軸のつまみに当たっているか
+     * @param {number} x - キャンバス上のX座標
+     * @param {number} y - キャンバス上のY座標
+     */
+    hitTestSymmetryHandle(x, y) {
+        const handle = this.getSymmetryHandle();
+        return Math.hypot(x - handle.x, y - handle.y) <= Renderer.HANDLE_HIT_RADIUS;
+    }
+
+    /**
+     * 対称軸をドラッグ位置に移動
+     * @param {number} canvasX - キャンバス上のX座標
+     */
+    moveSymmetryAxis(canvasX) {
+        this.symmetry.x = this.canvasToNormalized(canvasX, 0).x;
+        this.render(null);
+    }
+
+    /**
+     * 対称軸の有効/無効を設定
+     * @param {boolean} enabled - 有効にするか
+     */
+    setSymmetryEnabled(enabled) {
+        this.symmetry.enabled = enabled;
+        this.axisDrag = false;
+        this.render(null);
+    }
+
+    isSymmetryEnabled() {
+        return this.symmetry.enabled;
+    }
+
+    /**
+     * 対称軸で左右反転した領域を作る
+     * @param {Object} region - 元の領域
+     * @returns {Object|null} - 反転した領域。軸をまたぐ領域と、反転すると画像からはみ出す領域は相方を作らないのでnull
+     */
+    mirrorRegion(region) {
+        const axis = this.symmetry.x;
+        const extent = this.getRegionExtentX(region);
+        if (extent.left < axis && extent.right > axis) return null;
+
+        // 画像の端にぴったり接する領域を計算誤差ではみ出したと見なさない
+        const isOutside = (x) => x < -1e-9 || x > 1 + 1e-9;
+
+        const mirrored = {
+            ...structuredClone(region),
+            x: axis * 2 - region.x - region.width,
+            angle: -(region.angle || 0)
+        };
+        delete mirrored.name;
+
+        if (region.points) {
+            mirrored.points = region.points.map(p => ({ x: axis * 2 - p.x, y: p.y }));
+        }
+
+        if (region.mask) {
+            // マスクは列を軸で折り返して写す（画像の外に出た部分は捨てる）
+            const { cols, rows, data } = region.mask;
+            const mirroredData = new Uint8Array(data.length);
+            for (let gx = 0; gx < cols; gx++) {
+                const sourceX = Math.round((axis * 2 - (gx + 0.5) / cols) * cols - 0.5);
+                if (sourceX < 0 || sourceX >= cols) continue;
+                for (let gy = 0; gy < rows; gy++) {
+                    mirroredData[gy * cols + gx] = data[gy * cols + sourceX];
+                }
+            }
+            mirrored.mask = { cols, rows, data: mirroredData };
+            this.updateMaskBounds(mirrored);
+            if (mirrored.width === 0) return null;
+        } else if (isOutside(axis * 2 - extent.right) || isOutside(axis * 2 - extent.left)) {
+            return null;
+        }
+
+        return mirrored;
+    }
+
+    /**
+     * 回転を含めて実際に描かれる領域の横の範囲を取得
+     * 多角形は頂点、楕円は回転した楕円の外接矩形から求める
+     * @param {Object} region - 正規化された領域
+     * @returns {Object} - { left, right }（正規化座標）
+     */
+    getRegionExtentX(region) {
+        if (region.points && !region.mask) {
+            const xs = region.points.map(p => p.x);
+            return { left: Math.min(...xs), right: Math.max(...xs) };
+        }
+
+        // 回転は画面上で行うので、縦の半径を横の正規化座標に換算してから合成する
+        const { width: imgW, height: imgH } = this.imageRect;
+        const angle = region.angle || 0;
+        const rx = region.width / 2;
+        const ry = imgW > 0 ? region.height * imgH / imgW / 2 : region.height / 2;
+        const halfWidth = Math.sqrt((rx * Math.cos(angle)) ** 2 + (ry * Math.sin(angle)) ** 2);
+        const cx = region.x + region.width / 2;
+        return { left: cx - halfWidth, right: cx + halfWidth };
+    }
+
+    /**
+     * キャンバス座標を画像内の正規化座標（0〜1）に変換
+     * @param {number} canvasX - キャンバス上のX座標
+     * @param {number} canvasY - キャンバス上のY座標
+     * @returns {Object} - { x, y }
+     */
+    canvasToNormalized(canvasX, canvasY) {
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        return {
+            x: Math.max(0, Math.min(1, (canvasX - imgX) / imgW)),
+            y: Math.max(0, Math.min(1, (canvasY - imgY) / imgH))
+        };
+    }
+
+    /**
+     * 正規化座標をキャンバス座標に変換
+     * @param {Object} point - 正規化座標 { x, y }
+     * @returns {Object} - { x, y }
+     */
+    normalizedToCanvas(point) {
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        return {
+            x: imgX + point.x * imgW,
+            y: imgY + point.y * imgH
+        };
+    }
+
+    /**
+     * キャンバス上の矩形を正規化座標に変換（表示の拡大・移動を考慮）
+     * @param {Object} rect - { x, y, width, height }（ピクセル）
+     * @returns {Object} - 正規化された矩形
+     */
     pixelToNormalized(rect) {
         const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
 
@@ -450,6 +1646,219 @@ class Renderer {
         return { x, y, width, height };
     }
 
+    /**
+     * 領域の楕円を画面座標で取得
+     * @param {Object} region - 正規化された領域
+     * @returns {Object} - { cx, cy, rx, ry, angle }（ピクセル、angleはラジアン）
+     */
+    getRegionEllipse(region) {
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        return {
+            cx: imgX + (region.x + region.width / 2) * imgW,
+            cy: imgY + (region.y + region.height / 2) * imgH,
+            rx: region.width * imgW / 2,
+            ry: region.height * imgH / 2,
+            angle: region.angle || 0
+        };
+    }
+
+    /**
+     * 画面座標の楕円を正規化して領域に反映
+     * @param {Object} region - 更新する領域
+     * @param {Object} ellipse - { cx, cy, rx, ry, angle }（ピクセル、angleはラジアン）
+     */
+    setRegionEllipse(region, ellipse) {
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+
+        // 中心は画像内、大きさは画像全体まで
+        const cx = Math.max(0, Math.min(1, (ellipse.cx - imgX) / imgW));
+        const cy = Math.max(0, Math.min(1, (ellipse.cy - imgY) / imgH));
+        const width = Math.min(1, ellipse.rx * 2 / imgW);
+        const height = Math.min(1, ellipse.ry * 2 / imgH);
+
+        region.x = cx - width / 2;
+        region.y = cy - height / 2;
+        region.width = width;
+        region.height = height;
+        region.angle = Math.atan2(Math.sin(ellipse.angle), Math.cos(ellipse.angle));
+    }
+
+    /**
+     * 領域の編集ハンドルの位置を取得
+     * @param {Object} region - 正規化された領域
+     * @returns {Object} - ハンドル名（left, right, top, bottom, rotate）-> { x, y }
+     */
+    getRegionHandles(region) {
+        const { cx, cy, rx, ry, angle } = this.getRegionEllipse(region);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // 楕円のローカル座標を画面座標に変換
+        const toCanvas = (lx, ly) => ({
+            x: cx + lx * cos - ly * sin,
+            y: cy + lx * sin + ly * cos
+        });
+
+        return {
+            left: toCanvas(-rx, 0),
+            right: toCanvas(rx, 0),
+            top: toCanvas(0, -ry),
+            bottom: toCanvas(0, ry),
+            rotate: toCanvas(0, -ry - Renderer.ROTATE_HANDLE_OFFSET)
+        };
+    }
+
+    /**
+     * 編集中の領域のハンドルに当たっているかを判定
+     * @param {number} canvasX - キャンバス上のX座標
+     * @param {number} canvasY - キャンバス上のY座標
+     * @returns {string|null} - ヒットしたハンドル名、なければnull
+     */
+    hitTestHandle(canvasX, canvasY) {
+        const region = this.regions[this.selectedRegionIndex];
+        if (!region || region.shape === 'mask' || !this.showRegions) return null;
+
+        const handles = this.getRegionHandles(region);
+        for (const [name, pos] of Object.entries(handles)) {
+            const distance = Math.sqrt((canvasX - pos.x) ** 2 + (canvasY - pos.y) ** 2);
+            if (distance <= Renderer.HANDLE_HIT_RADIUS) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 編集中の領域の移動・リサイズ・回転を開始
+     * @param {number} canvasX - キャンバス上のX座標
+     * @param {number} canvasY - キャンバス上のY座標
+     * @returns {boolean} - 変形を開始したか
+     */
+    beginRegionEdit(canvasX, canvasY) {
+        if (this.selectionTarget !== 'region') return false;
+
+        const index = this.selectedRegionIndex;
+        const region = this.regions[index];
+        if (!region || region.shape === 'mask') return false;
+
+        // ハンドル以外は領域の本体を掴んだときだけ移動
+        let type = this.hitTestHandle(canvasX, canvasY);
+        if (!type) {
+            if (this.hitTestRegion(canvasX, canvasY) !== index) return false;
+            type = 'move';
+        }
+
+        this.regionEdit = {
+            type,
+            index,
+            start: { x: canvasX, y: canvasY },
+            ellipse: this.getRegionEllipse(region),
+            points: region.points,
+            changed: false
+        };
+
+        if (this.onRegionEditStart) {
+            this.onRegionEditStart(index);
+        }
+        return true;
+    }
+
+    /**
+     * ドラッグ位置に合わせて領域を変形
+     * @param {number} canvasX - キャンバス上のX座標
+     * @param {number} canvasY - キャンバス上のY座標
+     */
+    updateRegionEdit(canvasX, canvasY) {
+        const { type, index, start, ellipse, points } = this.regionEdit;
+        let { cx, cy, rx, ry, angle } = ellipse;
+
+        if (type === 'move') {
+            cx += canvasX - start.x;
+            cy += canvasY - start.y;
+        } else if (type === 'rotate') {
+            // 回転ハンドルは楕円の上側にある
+            angle = Math.atan2(canvasY - cy, canvasX - cx) + Math.PI / 2;
+
+            // 水平・垂直付近は吸着
+            const snapped = Math.round(angle / (Math.PI / 2)) * (Math.PI / 2);
+            if (Math.abs(angle - snapped) < Renderer.ROTATE_SNAP) {
+                angle = snapped;
+            }
+        } else {
+            // 反対側のハンドルを固定して、楕円の軸方向にだけ伸縮
+            const horizontal = type === 'left' || type === 'right';
+            const sign = type === 'right' || type === 'bottom' ? 1 : -1;
+            const axisX = horizontal ? Math.cos(angle) : -Math.sin(angle);
+            const axisY = horizontal ? Math.sin(angle) : Math.cos(angle);
+            const radius = horizontal ? rx : ry;
+
+            const anchorX = cx - axisX * radius * sign;
+            const anchorY = cy - axisY * radius * sign;
+            const projected = ((canvasX - anchorX) * axisX + (canvasY - anchorY) * axisY) * sign;
+            const length = Math.max(Renderer.MIN_REGION_SIZE, projected);
+
+            cx = anchorX + axisX * length / 2 * sign;
+            cy = anchorY + axisY * length / 2 * sign;
+            if (horizontal) {
+                rx = length / 2;
+            } else {
+                ry = length / 2;
+            }
+        }
+
+        this.transformRegion(this.regions[index], ellipse, { cx, cy, rx, ry, angle }, points);
+        this.regionEdit.changed = true;
+        this.render(null);
+    }
+
+    /**
+     * 領域の枠を変更し、多角形の頂点も枠に合わせて移動・伸縮・回転
+     * @param {Object} region - 更新する領域
+     * @param {Object} from - 変更前の枠 { cx, cy, rx, ry, angle }
+     * @param {Object} to - 変更後の枠 { cx, cy, rx, ry, angle }
+     * @param {Array} [points] - 変更前の多角形の頂点（正規化座標）
+     */
+    transformRegion(region, from, to, points) {
+        this.setRegionEllipse(region, to);
+        if (!points) return;
+
+        // 制限を反映した後の枠を基準にする
+        const next = this.getRegionEllipse(region);
+        const fromCos = Math.cos(from.angle);
+        const fromSin = Math.sin(from.angle);
+        const toCos = Math.cos(next.angle);
+        const toSin = Math.sin(next.angle);
+        const scaleX = from.rx > 0 ? next.rx / from.rx : 1;
+        const scaleY = from.ry > 0 ? next.ry / from.ry : 1;
+
+        region.points = points.map(p => {
+            const canvas = this.normalizedToCanvas(p);
+            const dx = canvas.x - from.cx;
+            const dy = canvas.y - from.cy;
+
+            // 変更前の枠のローカル座標 → 伸縮 → 変更後の枠で画面座標に戻す
+            const lx = (dx * fromCos + dy * fromSin) * scaleX;
+            const ly = (-dx * fromSin + dy * fromCos) * scaleY;
+            return this.canvasToNormalized(
+                next.cx + lx * toCos - ly * toSin,
+                next.cy + lx * toSin + ly * toCos
+            );
+        });
+    }
+
+    /**
+     * 領域の変形を終了して通知（動かしていなければ通知しない）
+     */
+    endRegionEdit() {
+        const { index, changed } = this.regionEdit;
+        this.regionEdit = null;
+
+        if (changed && this.onRegionChanged) {
+            this.onRegionChanged(index);
+        }
+    }
+
     /**
      * 領域を追加
      */
@@ -474,6 +1883,86 @@ class Renderer {
         }
     }
 
+    /**
+     * 領域の順番を変更
+     * @param {number} from - 移動する領域のインデックス
+     * @param {number} to - 移動先のインデックス
+     */
+    moveRegion(from, to) {
+        if (from < 0 || from >= this.regions.length || to < 0 || to >= this.regions.length) return;
+
+        const [region] = this.regions.splice(from, 1);
+        this.regions.splice(to, 0, region);
+    }
+
+    /**
+     * 固定領域を追加
+     */
+    addFixedRegion(region) {
+        this.fixedRegions.push(region);
+    }
+
+    /**
+     * 固定領域をクリア
+     */
+    clearFixedRegions() {
+        this.fixedRegions = [];
+    }
+
+    /**
+     * 指定インデックスの固定領域を削除
+     * @param {number} index - 削除する固定領域のインデックス
+     */
+    removeFixedRegion(index) {
+        if (index >= 0 && index < this.fixedRegions.length) {
+            this.fixedRegions.splice(index, 1);
+        }
+    }
+
+    /**
+     * パラメータ編集中の領域を設定
+     * @param {number} index - 領域のインデックス（-1で解除）
+     */
+    setSelectedRegion(index) {
+        this.selectedRegionIndex = index;
+    }
+
+    /**
+     * 選択対象を設定
+     * @param {string} target - 'region', 'fixed'
+     */
+    setSelectionTarget(target) {
+        this.selectionTarget = target;
+        this.cancelPolygon();
+    }
+
+    /**
+     * 揺れ領域の選択ツールを設定
+     * @param {string} tool - 'ellipse', 'lasso', 'polygon'
+     */
+    setSelectionTool(tool) {
+        this.selectionTool = tool;
+        this.activeMask = null;
+        this.brushHover = null;
+        this.cancelPolygon();
+    }
+
+    /**
+     * ブラシの種類を設定
+     * @param {string} mode - 'add', 'erase', 'feather'
+     */
+    setBrushMode(mode) {
+        this.brushMode = mode;
+    }
+
+    /**
+     * ブラシの半径を設定
+     * @param {number} size - 半径（ピクセル）
+     */
+    setBrushSize(size) {
+        this.brushSize = size;
+    }
+
     /**
      * クリック位置が領域内かどうかを判定
      * @param {number} canvasX - キャンバス上のX座標
@@ -481,20 +1970,37 @@ class Renderer {
      * @returns {number} - ヒットした領域のインデックス、なければ-1
      */
     hitTestRegion(canvasX, canvasY) {
-        // 正規化座標に変換
-        const normX = (canvasX - this.imageRect.x) / this.imageRect.width;
-        const normY = (canvasY - this.imageRect.y) / this.imageRect.height;
-
         // 各領域について楕円内かチェック（逆順で上のレイヤーを優先）
         for (let i = this.regions.length - 1; i >= 0; i--) {
             const region = this.regions[i];
-            const cx = region.x + region.width / 2;
-            const cy = region.y + region.height / 2;
-            const rx = region.width / 2;
-            const ry = region.height / 2;
+            if (region.shape === 'mask') {
+                // 塗りが半分以上の場所をマスクの内側とみなす
+                const { cols, rows, data } = region.mask;
+                const point = this.canvasToNormalized(canvasX, canvasY);
+                const gx = Math.min(cols - 1, Math.floor(point.x * cols));
+                const gy = Math.min(rows - 1, Math.floor(point.y * rows));
+                if (data[gy * cols + gx] >= 128) {
+                    return i;
+                }
+                continue;
+            }
+            if (region.shape === 'polygon') {
+                if (this.isInsidePolygon(canvasX, canvasY, region.points.map(p => this.normalizedToCanvas(p)))) {
+                    return i;
+                }
+                continue;
+            }
+
+            const { cx, cy, rx, ry, angle } = this.getRegionEllipse(region);
+
+            // 楕円のローカル座標（回転を戻す）
+            const dx = canvasX - cx;
+            const dy = canvasY - cy;
+            const lx = dx * Math.cos(angle) + dy * Math.sin(angle);
+            const ly = -dx * Math.sin(angle) + dy * Math.cos(angle);
 
-            // 楕円の式: (x-cx)^2/rx^2 + (y-cy)^2/ry^2 <= 1
-            const dist = Math.pow((normX - cx) / rx, 2) + Math.pow((normY - cy) / ry, 2);
+            // 楕円の式: lx^2/rx^2 + ly^2/ry^2 <= 1
+            const dist = Math.pow(lx / rx, 2) + Math.pow(ly / ry, 2);
             if (dist <= 1) {
                 return i;
             }
@@ -502,6 +2008,45 @@ class Renderer {
         return -1;
     }
 
+    /**
+     * 点が多角形の内側にあるかを判定（交差数による判定）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {Array} points - 多角形の頂点 [{ x, y }]
+     * @returns {boolean}
+     */
+    isInsidePolygon(x, y, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[j];
+            const b = points[i];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * クリック位置が固定領域内かどうかを判定
+     * @param {number} canvasX - キャンバス上のX座標
+     * @param {number} canvasY - キャンバス上のY座標
+     * @returns {number} - ヒットした固定領域のインデックス、なければ-1
+     */
+    hitTestFixedRegion(canvasX, canvasY) {
+        const normX = (canvasX - this.imageRect.x) / this.imageRect.width;
+        const normY = (canvasY - this.imageRect.y) / this.imageRect.height;
+
+        for (let i = this.fixedRegions.length - 1; i >= 0; i--) {
+            const region = this.fixedRegions[i];
+            if (normX >= region.x && normX <= region.x + region.width &&
+                normY >= region.y && normY <= region.y + region.height) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
     /**
      * 領域数を取得
      */
@@ -516,6 +2061,20 @@ class Renderer {
         return this.regions;
     }
 
+    /**
+     * 固定領域数を取得
+     */
+    getFixedRegionCount() {
+        return this.fixedRegions.length;
+    }
+
+    /**
+     * 全固定領域を取得
+     */
+    getFixedRegions() {
+        return this.fixedRegions;
+    }
+
     hasImage() {
         return this.image !== null;
     }
@@ -558,6 +2117,80 @@ class Renderer {
         return this.showMesh;
     }
 
+    /**
+     * 影響度の表示を切り替え
+     */
+    toggleInfluenceDisplay() {
+        this.showInfluence = !this.showInfluence;
+        return this.showInfluence;
+    }
+
+    /**
+     * 影響度の表示状態を取得
+     */
+    isShowingInfluence() {
+        return this.showInfluence;
+    }
+
+    /**
+     * 頂点ごとの影響度をヒートマップで描画（変形前の画像の位置に重ねる）
+     * @param {Object} map - { cols, rows, values }（PhysicsEngine.calculateInfluenceMap の結果）
+     */
+    drawInfluenceMap(map) {
+        const { cols, rows, values } = map;
+        if (cols < 2 || rows < 2 || values.length !== cols * rows) return;
+
+        // 頂点1つを1ピクセルにした画像を作り、拡大時の補間で滑らかにする
+        if (!this.influenceCanvas) {
+            this.influenceCanvas = document.createElement('canvas');
+        }
+        const canvas = this.influenceCanvas;
+        canvas.width = cols;
+        canvas.height = rows;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(cols, rows);
+        for (let i = 0; i < values.length; i++) {
+            const color = this.getInfluenceColor(values[i]);
+            image.data[i * 4] = color[0];
+            image.data[i * 4 + 1] = color[1];
+            image.data[i * 4 + 2] = color[2];
+            image.data[i * 4 + 3] = color[3];
+        }
+        ctx.putImageData(image, 0, 0);
+
+        // 端の頂点のピクセル中心が画像の端に来るよう半ピクセル内側を切り出す
+        const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+        this.ctx.save();
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(canvas, 0.5, 0.5, cols - 1, rows - 1, imgX, imgY, imgW, imgH);
+        this.ctx.restore();
+    }
+
+    /**
+     * 影響度を表示色に変換
+     * @param {number} value - 影響度（1以上は1として扱う）
+     * @returns {Array} - [r, g, b, a]
+     */
+    getInfluenceColor(value) {
+        if (value <= 0) return [0, 0, 0, 0];
+
+        const colors = Renderer.INFLUENCE_COLORS;
+        const t = Math.min(1, value) * (colors.length - 1);
+        const i = Math.min(Math.floor(t), colors.length - 2);
+        const f = t - i;
+        const from = colors[i];
+        const to = colors[i + 1];
+
+        return [
+            from[0] + (to[0] - from[0]) * f,
+            from[1] + (to[1] - from[1]) * f,
+            from[2] + (to[2] - from[2]) * f,
+            // 弱い影響の広がりも見えるよう平方根で不透明度を持ち上げる
+            Math.sqrt(Math.min(1, value)) * 180
+        ];
+    }
+
     /**
      * メッシュ表示状態を取得
      */
@@ -572,6 +2205,7 @@ class Renderer {
         if (!displacements || displacements.length === 0) return;
 
         const { x: imgX, y: imgY, width: imgW, height: imgH } = this.imageRect;
+        const unit = this.getUnitScale();
 
         // グリッドサイズを計算（縦横別）
         let gridSizeX = 0;
@@ -596,8 +2230,8 @@ class Renderer {
             for (let gx = 0; gx <= gridSizeX; gx++) {
                 const idx = gy * (gridSizeX + 1) + gx;
                 const v = displacements[idx];
-                const px = imgX + v.x * imgW + v.dx;
-                const py = imgY + v.y * imgH + v.dy;
+                const px = imgX + v.x * imgW + v.dx * unit;
+                const py = imgY + v.y * imgH + v.dy * unit;
 
                 if (gx === 0) {
                     this.ctx.moveTo(px, py);
@@ -614,8 +2248,8 @@ class Renderer {
             for (let gy = 0; gy <= gridSizeY; gy++) {
                 const idx = gy * (gridSizeX + 1) + gx;
                 const v = displacements[idx];
-                const px = imgX + v.x * imgW + v.dx;
-                const py = imgY + v.y * imgH + v.dy;
+                const px = imgX + v.x * imgW + v.dx * unit;
+                const py = imgY + v.y * imgH + v.dy * unit;
 
                 if (gy === 0) {
                     this.ctx.moveTo(px, py);
@@ -629,8 +2263,8 @@ class Renderer {
         // 頂点
         this.ctx.fillStyle = 'rgba(233, 69, 96, 0.6)';
         for (const v of displacements) {
-            const px = imgX + v.x * imgW + v.dx;
-            const py = imgY + v.y * imgH + v.dy;
+            const px = imgX + v.x * imgW + v.dx * unit;
+            const py = imgY + v.y * imgH + v.dy * unit;
             this.ctx.beginPath();
             this.ctx.arc(px, py, 2, 0, Math.PI * 2);
             this.ctx.fill();
@@ -3,6 +3,17 @@
  * 画像と領域データを保存・読み込み
  */
 class Storage {
+    // プリセットの形式バージョン
+    // 1: 変位関連の値がピクセル単位
+    // 2: 変位関連の値が画像の短辺の1%単位
+    // 3: 揺れ領域に角度（angle、ラジアン）を追加
+    // 4: 揺れ領域に形状（shape: 'ellipse' | 'polygon'、多角形は points）を追加
+    // 5: 揺れ領域に自動パターンの力の変換（forceTransform）とグループ（group）を追加
+    // 6: 揺れ領域に id と領域どうしのばね（links）を追加
+    // 7: 物理パラメータに揺れの計算方法（simulationMode）を追加
+    // 8: 物理パラメータに押し込みの設定（press）を追加
+    static PRESET_VERSION = 8;
+
     constructor() {
         this.dbName = 'nanoprin';
         this.dbVersion = 1;
@@ -90,6 +101,7 @@ class Storage {
             const store = transaction.objectStore('presets');
 
             const data = {
+                version: Storage.PRESET_VERSION,
                 name: preset.name,
                 imageData: preset.imageData,
                 regions: preset.regions,
@@ -97,6 +109,8 @@ class Storage {
                 physicsParams: preset.physicsParams || null,
                 autoStrength: preset.autoStrength || 1.0,
                 gridDensity: preset.gridDensity || 10,
+                gestures: preset.gestures || null,
+                sensorSettings: preset.sensorSettings || null,
                 createdAt: new Date().toISOString()
             };
 
@@ -122,6 +136,7 @@ class Storage {
 
             const data = {
                 id: id,
+                version: Storage.PRESET_VERSION,
                 name: preset.name,
                 imageData: preset.imageData,
                 regions: preset.regions,
@@ -150,11 +165,85 @@ class Storage {
             const store = transaction.objectStore('presets');
             const request = store.get(id);
 
-            request.onsuccess = () => resolve(request.result || null);
+            request.onsuccess = () => resolve(request.result ? this.upgradePreset(request.result) : null);
             request.onerror = () => reject(new Error('プリセットの取得に失敗しました'));
         });
     }
 
+    /**
+     * 古い形式のプリセットを現在の形式に変換
+     * @param {Object} preset - 保存されていたプリセットデータ
+     * @returns {Object} - 変換後のプリセットデータ
+     */
+    upgradePreset(preset) {
+        const version = preset.version || 1;
+
+        if (version < 2) {
+            // ピクセル単位の変位を画像の短辺の1%単位に換算
+            const params = preset.physicsParams;
+            if (params) {
+                if (params.posThreshold !== undefined) params.posThreshold = PhysicsEngine.pixelsToUnits(params.posThreshold);
+                if (params.velThreshold !== undefined) params.velThreshold = PhysicsEngine.pixelsToUnits(params.velThreshold);
+            }
+            for (const region of preset.regions) {
+                if (region.params && region.params.maxDisplacement !== undefined) {
+                    region.params.maxDisplacement = PhysicsEngine.pixelsToUnits(region.params.maxDisplacement);
+                }
+            }
+        }
+
+        if (version < 3) {
+            // 回転のない楕円として扱う
+            for (const region of preset.regions) {
+                if (region.angle === undefined) region.angle = 0;
+            }
+        }
+
+        if (version < 4) {
+            // それまでの領域はすべて楕円
+            for (const region of preset.regions) {
+                if (region.shape === undefined) region.shape = 'ellipse';
+            }
+        }
+
+        if (version < 5) {
+            // もみもみパターンで奇数番目の領域を逆回転させていた動きを、もみもみだけの左右反転で再現
+            preset.regions.forEach((region, index) => {
+                if (region.forceTransform === undefined) {
+                    region.forceTransform = {
+                        mirrorX: index % 2 === 1,
+                        mirrorPatterns: [...PhysicsEngine.KNEAD_PATTERNS]
+                    };
+                }
+            });
+        }
+
+        if (version < 6) {
+            // 領域どうしの参照に使う id を振る
+            let nextId = Math.max(0, ...preset.regions.map(region => region.id || 0)) + 1;
+            for (const region of preset.regions) {
+                if (region.id === undefined) region.id = nextId++;
+            }
+        }
+
+        if (version < 7) {
+            // それまでは領域ごとの揺れだけ
+            if (preset.physicsParams && preset.physicsParams.simulationMode === undefined) {
+                preset.physicsParams.simulationMode = 'region';
+            }
+        }
+
+        if (version < 8) {
+            // それまでは押し込みの設定が固定
+            if (preset.physicsParams && preset.physicsParams.press === undefined) {
+                preset.physicsParams.press = { ...PhysicsEngine.DEFAULT_PRESS };
+            }
+        }
+
+        preset.version = Storage.PRESET_VERSION;
+        return preset;
+    }
+
     /**
      * 全プリセットの一覧を取得（画像データは含まない）
      * @returns {Promise<Array>} - プリセット一覧